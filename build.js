@@ -0,0 +1,288 @@
+/**
+ * FlowSync Landing Page - Production Build
+ * Copies src/ to dist/, minifies and content-hashes CSS/JS assets, expands
+ * includes, prerenders data-driven sections, renders the blog and docs from
+ * content/ and rewrites the references in HTML pages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { minify } = require('terser');
+const CleanCSS = require('clean-css');
+const { sectionRenderers } = require('./src/js/sections');
+const { createTranslator } = require('./src/js/i18n');
+const { loadLocales, localizeHtml } = require('./lib/i18n');
+const { renderIncludes, isPartial } = require('./lib/includes');
+const { createContentSite } = require('./lib/content');
+const { walk } = require('./lib/fs-utils');
+const { getInlineScriptHashes, parseContentSecurityPolicy } = require('./lib/security-headers');
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const config = {
+    srcDir: path.join(__dirname, 'src'),
+    outDir: path.join(__dirname, 'dist'),
+    hashLength: 8,
+    manifestFile: 'asset-manifest.json',
+    vercelConfigPath: path.join(__dirname, 'vercel.json'),
+    contentDir: path.join(__dirname, 'content'),
+    // Origin for the feed and canonical links, which must be absolute
+    siteUrl: (process.env.SITE_URL || 'https://flowsync.example').replace(/\/+$/, '')
+};
+
+// ==========================================================================
+// File Utilities
+// ==========================================================================
+
+function toUrlPath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+// "index.html" -> "/", "privacy.html" -> "/privacy.html"
+function getPagePath(relativePath) {
+    return `/${relativePath.replace(/(^|\/)index\.html$/, '$1')}`;
+}
+
+function writeFile(relativePath, contents) {
+    const outputPath = path.join(config.outDir, relativePath);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, contents);
+}
+
+function contentHash(contents) {
+    return crypto.createHash('sha256').update(contents).digest('hex').slice(0, config.hashLength);
+}
+
+// css/style.css -> css/style.1a2b3c4d.css
+function hashedName(relativePath, hash) {
+    const ext = path.extname(relativePath);
+    return `${relativePath.slice(0, -ext.length)}.${hash}${ext}`;
+}
+
+function formatSize(bytes) {
+    return bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+// ==========================================================================
+// Asset Minification
+// ==========================================================================
+
+async function minifyJs(source, fileName) {
+    const result = await minify({ [fileName]: source }, {
+        compress: true,
+        mangle: true
+    });
+    return result.code;
+}
+
+function minifyCss(source, fileName) {
+    const result = new CleanCSS({ level: 1 }).minify(source);
+    if (result.errors.length > 0) {
+        throw new Error(`Failed to minify ${fileName}: ${result.errors.join(', ')}`);
+    }
+    result.warnings.forEach(warning => console.warn(`[Build] ${fileName}: ${warning}`));
+    return result.styles;
+}
+
+const minifiers = {
+    '.js': minifyJs,
+    '.css': minifyCss
+};
+
+// ==========================================================================
+// HTML Reference Rewriting
+// ==========================================================================
+
+// Rewrites href/src attributes that point at hashed assets. References are
+// resolved relative to the HTML page unless they are root-relative.
+function rewriteHtml(html, pagePath, manifest) {
+    const pageDir = path.posix.dirname(pagePath);
+
+    return html.replace(/(<(?:link|script)\b[^>]*?\s(?:href|src)=)(["'])([^"']+)\2/gi, (match, prefix, quote, url) => {
+        if (/^(?:[a-z]+:)?\/\//i.test(url) || url.startsWith('data:')) {
+            return match;
+        }
+
+        const [urlPath, suffix = ''] = url.split(/(?=[?#])/);
+        const isRootRelative = urlPath.startsWith('/');
+        const assetPath = isRootRelative
+            ? urlPath.slice(1)
+            : path.posix.normalize(path.posix.join(pageDir, urlPath));
+
+        const hashedPath = manifest[assetPath];
+        if (!hashedPath) {
+            return match;
+        }
+
+        const rewritten = isRootRelative
+            ? `/${hashedPath}`
+            : path.posix.relative(pageDir, hashedPath);
+
+        return `${prefix}${quote}${rewritten}${suffix}${quote}`;
+    });
+}
+
+// ==========================================================================
+// Section Prerendering
+// ==========================================================================
+
+// Fills data-render containers with their cards so the content is visible
+// without JavaScript; main.js skips containers marked data-prerendered.
+// The cards are rendered in the default locale and localized per page.
+function prerenderSections(html, translate) {
+    return html.replace(/(<(\w+)\b[^>]*\bdata-render="([^"]+)"[^>]*)>[\s\S]*?(<\/\2>)/g, (match, openTag, tagName, name, closeTag) => {
+        const section = sectionRenderers[name];
+        if (!section) {
+            console.warn(`[Build] Unknown section renderer: ${name}`);
+            return match;
+        }
+
+        const data = JSON.parse(fs.readFileSync(path.join(config.srcDir, section.source), 'utf8'));
+        return `${openTag} data-prerendered>${section.render(data, translate)}\n${closeTag}`;
+    });
+}
+
+// ==========================================================================
+// Content-Security-Policy Check
+// ==========================================================================
+
+// Static hosting cannot add nonces, so every inline script has to be allowed
+// by its hash in the Content-Security-Policy from vercel.json
+function checkInlineScriptHashes(pages) {
+    let policy;
+    try {
+        const vercelConfig = JSON.parse(fs.readFileSync(config.vercelConfigPath, 'utf8'));
+        const headers = (vercelConfig.headers || []).flatMap(rule => rule.headers || []);
+        policy = headers.find(header => header.key.toLowerCase() === 'content-security-policy');
+    } catch (error) {
+        return; // No vercel.json: nothing to check against
+    }
+    if (!policy) return;
+
+    const scriptSources = parseContentSecurityPolicy(policy.value)['script-src'] || [];
+    const missing = new Set();
+    pages.forEach(({ html }) => {
+        getInlineScriptHashes(html)
+            .filter(hash => !scriptSources.includes(hash))
+            .forEach(hash => missing.add(hash));
+    });
+
+    missing.forEach(hash => {
+        console.warn(`[Build] Inline script is blocked by the CSP in vercel.json; add ${hash} to script-src`);
+    });
+}
+
+// ==========================================================================
+// Build Pipeline
+// ==========================================================================
+
+async function build() {
+    const startTime = Date.now();
+    console.log('[Build] Building production bundle...');
+
+    fs.rmSync(config.outDir, { recursive: true, force: true });
+
+    const files = walk(config.srcDir).map(fullPath => toUrlPath(path.relative(config.srcDir, fullPath)));
+    const manifest = {};
+    const pages = [];
+
+    for (const relativePath of files) {
+        const ext = path.extname(relativePath).toLowerCase();
+        const source = fs.readFileSync(path.join(config.srcDir, relativePath));
+
+        // Partials end up inside the pages that include them
+        if (isPartial(relativePath)) {
+            continue;
+        }
+
+        if (ext === '.html') {
+            const { html } = renderIncludes(source.toString('utf8'), { root: config.srcDir, file: relativePath });
+            pages.push({ relativePath, html });
+            continue;
+        }
+
+        const minifier = minifiers[ext];
+        if (!minifier) {
+            writeFile(relativePath, source);
+            continue;
+        }
+
+        const output = await minifier(source.toString('utf8'), relativePath);
+        const outputPath = hashedName(relativePath, contentHash(output));
+
+        manifest[relativePath] = outputPath;
+        writeFile(outputPath, output);
+        console.log(`[Build] ${relativePath} -> ${outputPath} (${formatSize(source.length)} -> ${formatSize(Buffer.byteLength(output))})`);
+    }
+
+    // Every page is written once per locale: the default locale at its own
+    // path, the others under /<locale>/
+    const locales = loadLocales(path.join(config.srcDir, 'locales'));
+    const localeCodes = locales ? locales.locales.map(locale => locale.code) : [null];
+    const translate = createTranslator(locales && locales.messages[locales.defaultLocale]);
+
+    pages.forEach(({ relativePath, html }) => {
+        const prerendered = prerenderSections(html, translate);
+
+        localeCodes.forEach(code => {
+            const pagePath = code && code !== locales.defaultLocale ? path.posix.join(code, relativePath) : relativePath;
+            const localized = code ? localizeHtml(prerendered, locales, code, { path: getPagePath(relativePath) }) : prerendered;
+            writeFile(pagePath, rewriteHtml(localized, pagePath, manifest));
+            console.log(`[Build] ${pagePath}`);
+        });
+    });
+
+    // Blog and docs pages are rendered per locale for their dates; drafts
+    // are left out
+    const content = createContentSite({ dir: config.contentDir, root: config.srcDir, drafts: false });
+    content.paths().forEach(urlPath => {
+        localeCodes.forEach(code => {
+            const isDefault = !code || code === locales.defaultLocale;
+            const result = content.render(urlPath, {
+                locale: code || undefined,
+                localePath: isDefault ? '' : `/${code}`,
+                siteUrl: config.siteUrl
+            });
+
+            // Feeds are the same in every locale
+            if (result.type === 'xml') {
+                if (isDefault) {
+                    writeFile(urlPath.slice(1), result.body);
+                    console.log(`[Build] ${urlPath.slice(1)}`);
+                }
+                return;
+            }
+
+            const relativePath = `${urlPath.slice(1)}index.html`;
+            const pagePath = isDefault ? relativePath : path.posix.join(code, relativePath);
+            const localized = code ? localizeHtml(result.body, locales, code, { path: urlPath }) : result.body;
+            writeFile(pagePath, rewriteHtml(localized, pagePath, manifest));
+            console.log(`[Build] ${pagePath}`);
+            if (isDefault) {
+                pages.push({ relativePath, html: result.body });
+            }
+        });
+    });
+
+    writeFile(config.manifestFile, `${JSON.stringify(manifest, null, 2)}\n`);
+    checkInlineScriptHashes(pages);
+
+    console.log(`[Build] Done in ${Date.now() - startTime}ms -> ${path.relative(process.cwd(), config.outDir)}/`);
+    return manifest;
+}
+
+// ==========================================================================
+// Run the build
+// ==========================================================================
+
+if (require.main === module) {
+    build().catch(error => {
+        console.error('❌ Build failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { build, rewriteHtml, prerenderSections, config };
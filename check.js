@@ -0,0 +1,94 @@
+/**
+ * FlowSync Landing Page - Link Check
+ * Starts the server, crawls every page reachable from the home page and
+ * reports missing local assets, broken links, anchors without a matching id
+ * and links that go nowhere. Exits with 1 when it finds any, for use in
+ * pre-commit hooks and CI.
+ *
+ *   npm run check            # the development pages in src/
+ *   npm run check -- --prod  # the build in dist/ (run npm run build first)
+ */
+
+const path = require('path');
+const { createDevServer } = require('./server');
+const { crawl, createHttpLoader, formatProblem } = require('./lib/link-checker');
+
+const USAGE = `Usage: node check.js [--prod]
+
+  --prod   Check the production build in dist/ instead of src/
+  --help   Show this message`;
+
+// Locations printed per problem before the rest are summed up
+const MAX_LOCATIONS = 3;
+
+// The partials put the same problem on many pages: it is reported once, with
+// every page:line it occurs at
+function groupProblems(results) {
+    const groups = new Map();
+    results.forEach(({ path: page, problems }) => {
+        problems.forEach(problem => {
+            const key = `${problem.type} ${problem.url} ${problem.message}`;
+            if (!groups.has(key)) {
+                groups.set(key, { problem, locations: [] });
+            }
+            groups.get(key).locations.push({ page, line: problem.line });
+        });
+    });
+    return Array.from(groups.values());
+}
+
+async function check(options = {}) {
+    const devServer = await createDevServer({
+        production: Boolean(options.production),
+        port: 0,
+        host: '127.0.0.1',
+        liveReload: false,
+        mocks: false
+    });
+
+    try {
+        const results = await crawl('/', createHttpLoader(devServer.url));
+        const groups = groupProblems(results);
+        const problemCount = results.reduce((count, result) => count + result.problems.length, 0);
+
+        groups.forEach(({ problem, locations }) => {
+            const shown = locations.slice(0, MAX_LOCATIONS).map(({ page, line }) => `${page}:${line}`);
+            const more = locations.length > MAX_LOCATIONS ? `, and ${locations.length - MAX_LOCATIONS} more` : '';
+            console.log(`\n${formatProblem(problem)}\n    ${shown.join(', ')}${more}`);
+        });
+
+        const pages = `${results.length} page${results.length === 1 ? '' : 's'}`;
+        console.log(problemCount === 0
+            ? `\n✅ ${pages} checked, no problems found`
+            : `\n❌ ${groups.length} problem${groups.length === 1 ? '' : 's'} in ${problemCount} place${problemCount === 1 ? '' : 's'} on ${pages} (${path.relative(process.cwd(), devServer.config.staticDir) || '.'}/)`);
+        return problemCount;
+    } finally {
+        await devServer.close();
+    }
+}
+
+// ==========================================================================
+// Run the check
+// ==========================================================================
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const unknown = args.filter(arg => !['--prod', '--help'].includes(arg));
+
+    if (args.includes('--help') || unknown.length > 0) {
+        if (unknown.length > 0) {
+            console.error(`Unknown option: ${unknown[0]}`);
+        }
+        console.log(USAGE);
+        process.exit(unknown.length > 0 ? 1 : 0);
+    }
+
+    check({ production: args.includes('--prod') })
+        .then(problemCount => process.exit(problemCount > 0 ? 1 : 0))
+        .catch(error => {
+            console.error('❌ Check failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { check };
@@ -0,0 +1,251 @@
+/**
+ * FlowSync Landing Page - First-party Analytics Collector
+ * Accepts batched tracker events at POST /api/events, appends them to an
+ * NDJSON log and renders an aggregated summary for local inspection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readBody } = require('./body-parser');
+const { HttpError, escapeHtml, sendJson } = require('./http-utils');
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const MAX_EVENTS_PER_BATCH = 50;
+const MAX_BATCH_SIZE = 64 * 1024;
+const EVENT_NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+
+// Client timestamps further than this from the server's clock are replaced
+// with the time of receipt
+const MAX_CLOCK_SKEW = 24 * 60 * 60 * 1000;
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+function normalizeTimestamp(ts, now) {
+    return Number.isFinite(ts) && Math.abs(ts - now) <= MAX_CLOCK_SKEW ? ts : now;
+}
+
+function normalizeEvent(event, index) {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+        throw new HttpError(400, 'invalid_event', `Event ${index} must be an object`);
+    }
+
+    if (typeof event.name !== 'string' || !EVENT_NAME_PATTERN.test(event.name)) {
+        throw new HttpError(400, 'invalid_event', `Event ${index} has an invalid name`);
+    }
+
+    const props = event.props && typeof event.props === 'object' && !Array.isArray(event.props) ? event.props : {};
+
+    return {
+        name: event.name,
+        ts: normalizeTimestamp(event.ts, Date.now()),
+        path: typeof event.path === 'string' ? event.path.slice(0, 512) : null,
+        sessionId: typeof event.sessionId === 'string' ? event.sessionId.slice(0, 64) : null,
+        props
+    };
+}
+
+// ==========================================================================
+// Aggregation
+// ==========================================================================
+
+async function readEvents(logFile) {
+    let contents;
+    try {
+        contents = await fs.promises.readFile(logFile, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    return contents.split('\n').filter(Boolean).flatMap(line => {
+        try {
+            return [JSON.parse(line)];
+        } catch (error) {
+            return []; // Skip partially written lines
+        }
+    });
+}
+
+function increment(counts, key) {
+    const label = key === undefined || key === null || key === '' ? '(none)' : String(key);
+    counts[label] = (counts[label] || 0) + 1;
+}
+
+// Logs written before timestamps were checked may hold values that are no
+// valid date
+function formatTimestamp(ts) {
+    const date = new Date(ts);
+    return Number.isFinite(date.getTime()) ? date.toISOString() : null;
+}
+
+function summarizeEvents(events) {
+    const summary = {
+        totalEvents: events.length,
+        sessions: new Set(events.map(event => event.sessionId).filter(Boolean)).size,
+        firstEventAt: events.length ? formatTimestamp(events[0].ts) : null,
+        lastEventAt: events.length ? formatTimestamp(events[events.length - 1].ts) : null,
+        events: {},
+        pageViews: {},
+        ctaClicks: {},
+        sectionViews: {},
+        scrollDepth: {},
+        formSubmissions: {},
+        experiments: {}
+    };
+
+    events.forEach(event => {
+        const props = event.props || {};
+        increment(summary.events, event.name);
+
+        switch (event.name) {
+            case 'page_view':
+                increment(summary.pageViews, event.path);
+                break;
+            case 'cta_click':
+                increment(summary.ctaClicks, props.label);
+                break;
+            case 'section_view':
+                increment(summary.sectionViews, props.section);
+                break;
+            case 'scroll_depth':
+                increment(summary.scrollDepth, `${props.percent}%`);
+                break;
+            case 'experiment_exposure':
+                increment(summary.experiments, `${props.experiment}: ${props.variant}`);
+                break;
+            case 'form_submit':
+                increment(summary.formSubmissions, `${props.form} (${props.status})`);
+                break;
+            default:
+                break;
+        }
+    });
+
+    return summary;
+}
+
+// ==========================================================================
+// Summary Page
+// ==========================================================================
+
+function renderTable(title, counts) {
+    const rows = Object.keys(counts)
+        .sort((a, b) => counts[b] - counts[a])
+        .map(key => `<tr><td>${escapeHtml(key)}</td><td>${counts[key]}</td></tr>`)
+        .join('');
+
+    return `
+        <section>
+            <h2>${escapeHtml(title)}</h2>
+            ${rows ? `<table><tbody>${rows}</tbody></table>` : '<p class="empty">No events yet</p>'}
+        </section>`;
+}
+
+function renderSummaryPage(summary, nonce) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Analytics Summary - FlowSync Dev Server</title>
+    <style${nonce ? ` nonce="${nonce}"` : ''}>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 40px; color: #333; }
+        h1 { color: #4a90e2; }
+        .meta { color: #666; }
+        .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 24px; }
+        table { width: 100%; border-collapse: collapse; }
+        td { padding: 6px 8px; border-bottom: 1px solid #eee; }
+        td:last-child { text-align: right; font-variant-numeric: tabular-nums; }
+        .empty { color: #999; }
+    </style>
+</head>
+<body>
+    <h1>Analytics Summary</h1>
+    <p class="meta">
+        ${summary.totalEvents} events from ${summary.sessions} session(s)
+        ${summary.firstEventAt && summary.lastEventAt ? `between ${summary.firstEventAt} and ${summary.lastEventAt}` : ''}
+        · <a href="?format=json">JSON</a>
+    </p>
+    <div class="grid">
+        ${renderTable('Events', summary.events)}
+        ${renderTable('Page views', summary.pageViews)}
+        ${renderTable('CTA clicks', summary.ctaClicks)}
+        ${renderTable('Section views', summary.sectionViews)}
+        ${renderTable('Scroll depth', summary.scrollDepth)}
+        ${renderTable('Form submissions', summary.formSubmissions)}
+        ${renderTable('Experiment exposures', summary.experiments)}
+    </div>
+</body>
+</html>`;
+}
+
+// ==========================================================================
+// Request Handlers
+// ==========================================================================
+
+function createAnalyticsHandler(options) {
+    const logFile = options.logFile;
+
+    async function handleEventsRequest(req, res) {
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            throw new HttpError(405, 'method_not_allowed', 'Events must be sent with POST');
+        }
+
+        // sendBeacon posts a Blob, whose type may be application/json or
+        // text/plain depending on the browser, so the body is parsed directly
+        let payload;
+        try {
+            payload = JSON.parse((await readBody(req, MAX_BATCH_SIZE)).toString('utf8'));
+        } catch (error) {
+            if (error instanceof HttpError) throw error;
+            throw new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+        }
+
+        const batch = payload && Array.isArray(payload.events) ? payload.events : null;
+
+        if (!batch || batch.length === 0 || batch.length > MAX_EVENTS_PER_BATCH) {
+            throw new HttpError(400, 'invalid_batch', `Expected 1-${MAX_EVENTS_PER_BATCH} events in "events"`);
+        }
+
+        const receivedAt = new Date().toISOString();
+        const userAgent = req.headers['user-agent'] || null;
+        const lines = batch
+            .map(normalizeEvent)
+            .map(event => JSON.stringify(Object.assign(event, { receivedAt, userAgent })))
+            .join('\n');
+
+        await fs.promises.mkdir(path.dirname(logFile), { recursive: true });
+        await fs.promises.appendFile(logFile, `${lines}\n`, 'utf8');
+
+        res.writeHead(204, { 'Cache-Control': 'no-store' });
+        res.end();
+    }
+
+    async function handleSummaryRequest(req, res) {
+        const summary = summarizeEvents(await readEvents(logFile));
+        const format = new URL(req.url, 'http://localhost').searchParams.get('format');
+
+        if (format === 'json') {
+            sendJson(res, 200, summary);
+            return;
+        }
+
+        const body = renderSummaryPage(summary, res.locals && res.locals.nonce);
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-store'
+        });
+        res.end(body);
+    }
+
+    return { handleEventsRequest, handleSummaryRequest };
+}
+
+module.exports = { createAnalyticsHandler, summarizeEvents };
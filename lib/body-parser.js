@@ -0,0 +1,209 @@
+/**
+ * FlowSync Landing Page - Request Body Parser
+ * Parses urlencoded, multipart and JSON request bodies for the dev API
+ */
+
+const { HttpError } = require('./http-utils');
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const DEFAULT_LIMIT = 1024 * 1024; // 1 MB
+
+// ==========================================================================
+// Raw Body Reader
+// ==========================================================================
+
+function readBody(req, limit = DEFAULT_LIMIT) {
+    return new Promise((resolve, reject) => {
+        const declaredLength = parseInt(req.headers['content-length'], 10);
+        if (declaredLength > limit) {
+            reject(new HttpError(413, 'payload_too_large', `Request body exceeds ${limit} bytes`));
+            req.resume();
+            return;
+        }
+
+        const chunks = [];
+        let received = 0;
+
+        const onData = (chunk) => {
+            received += chunk.length;
+
+            if (received > limit) {
+                // The rest of the body is drained, not buffered
+                settle(reject, new HttpError(413, 'payload_too_large', `Request body exceeds ${limit} bytes`));
+                req.resume();
+                return;
+            }
+
+            chunks.push(chunk);
+        };
+        const onEnd = () => settle(resolve, Buffer.concat(chunks));
+        const onError = (error) => settle(reject, error);
+        // A client that goes away mid-upload never sends "end"
+        const onClose = () => {
+            if (!req.complete) {
+                settle(reject, new HttpError(400, 'request_aborted', 'The request was aborted before its body was received'));
+            }
+        };
+
+        function settle(callback, value) {
+            req.off('data', onData);
+            req.off('end', onEnd);
+            req.off('error', onError);
+            req.off('aborted', onClose);
+            req.off('close', onClose);
+            callback(value);
+        }
+
+        req.on('data', onData);
+        req.on('end', onEnd);
+        req.on('error', onError);
+        req.on('aborted', onClose);
+        req.on('close', onClose);
+    });
+}
+
+// ==========================================================================
+// Field Helpers
+// ==========================================================================
+
+// Repeated field names (e.g. checkbox groups) are collected into arrays
+function appendField(fields, name, value) {
+    if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+        fields[name] = value;
+    } else if (Array.isArray(fields[name])) {
+        fields[name].push(value);
+    } else {
+        fields[name] = [fields[name], value];
+    }
+}
+
+function parseHeaderParams(headerValue) {
+    const params = {};
+    headerValue.split(';').slice(1).forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+
+        const key = part.slice(0, index).trim().toLowerCase();
+        let value = part.slice(index + 1).trim();
+        if (value.startsWith('"') && value.endsWith('"')) {
+            value = value.slice(1, -1);
+        }
+        params[key] = value;
+    });
+    return params;
+}
+
+// ==========================================================================
+// Format Parsers
+// ==========================================================================
+
+function parseUrlEncoded(buffer) {
+    const fields = {};
+    new URLSearchParams(buffer.toString('utf8')).forEach((value, name) => {
+        appendField(fields, name, value);
+    });
+    return { fields, files: {} };
+}
+
+function parseJson(buffer) {
+    let data;
+    try {
+        data = JSON.parse(buffer.toString('utf8') || '{}');
+    } catch (error) {
+        throw new HttpError(400, 'invalid_json', 'Request body is not valid JSON');
+    }
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new HttpError(400, 'invalid_json', 'Request body must be a JSON object');
+    }
+
+    return { fields: data, files: {} };
+}
+
+function parseMultipart(buffer, boundary) {
+    if (!boundary) {
+        throw new HttpError(400, 'invalid_multipart', 'Multipart body is missing a boundary');
+    }
+
+    const fields = {};
+    const files = {};
+    const delimiter = Buffer.from(`--${boundary}`);
+    const headerSeparator = Buffer.from('\r\n\r\n');
+
+    let position = buffer.indexOf(delimiter);
+    if (position === -1) {
+        throw new HttpError(400, 'invalid_multipart', 'Multipart body does not contain the declared boundary');
+    }
+
+    while (position !== -1) {
+        const partStart = position + delimiter.length;
+
+        // "--" after the delimiter marks the end of the body
+        if (buffer.slice(partStart, partStart + 2).toString() === '--') break;
+
+        const nextPosition = buffer.indexOf(delimiter, partStart);
+        if (nextPosition === -1) break;
+
+        // Each part is wrapped in CRLFs: skip the leading one and drop the trailing one
+        const part = buffer.slice(partStart + 2, nextPosition - 2);
+        const headerEnd = part.indexOf(headerSeparator);
+
+        if (headerEnd !== -1) {
+            const headers = {};
+            part.slice(0, headerEnd).toString('utf8').split('\r\n').forEach(line => {
+                const index = line.indexOf(':');
+                if (index !== -1) {
+                    headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+                }
+            });
+
+            const content = part.slice(headerEnd + headerSeparator.length);
+            const disposition = parseHeaderParams(headers['content-disposition'] || '');
+
+            if (disposition.name) {
+                if (disposition.filename !== undefined) {
+                    // Uploaded files are only described, never written to disk
+                    if (disposition.filename) {
+                        appendField(files, disposition.name, {
+                            filename: disposition.filename,
+                            contentType: headers['content-type'] || 'application/octet-stream',
+                            size: content.length
+                        });
+                    }
+                } else {
+                    appendField(fields, disposition.name, content.toString('utf8'));
+                }
+            }
+        }
+
+        position = nextPosition;
+    }
+
+    return { fields, files };
+}
+
+// ==========================================================================
+// Public API
+// ==========================================================================
+
+async function parseBody(req, options = {}) {
+    const contentType = req.headers['content-type'] || '';
+    const mediaType = contentType.split(';')[0].trim().toLowerCase();
+    const buffer = await readBody(req, options.limit);
+
+    switch (mediaType) {
+        case 'application/x-www-form-urlencoded':
+            return parseUrlEncoded(buffer);
+        case 'multipart/form-data':
+            return parseMultipart(buffer, parseHeaderParams(contentType).boundary);
+        case 'application/json':
+            return parseJson(buffer);
+        default:
+            throw new HttpError(415, 'unsupported_media_type', `Unsupported content type: ${mediaType || 'none'}`);
+    }
+}
+
+module.exports = { parseBody, readBody };
@@ -0,0 +1,273 @@
+/**
+ * FlowSync Landing Page - Development Certificates
+ * Loads a user-supplied certificate for HTTPS mode or creates a self-signed
+ * one for the dev host and LAN addresses, cached between runs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const CERT_FILE = 'dev-cert.pem';
+const KEY_FILE = 'dev-key.pem';
+const META_FILE = 'dev-cert.json';
+
+const VALIDITY_DAYS = 365;
+
+// Regenerate a cached certificate this long before it expires
+const RENEW_BEFORE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ==========================================================================
+// DER Encoding
+// ==========================================================================
+
+// Just enough ASN.1 DER to write an X.509 v3 certificate, so no OpenSSL
+// install or extra package is needed on any platform
+
+function encodeLength(length) {
+    if (length < 0x80) {
+        return Buffer.from([length]);
+    }
+    const bytes = [];
+    for (let rest = length; rest > 0; rest = Math.floor(rest / 256)) {
+        bytes.unshift(rest & 0xff);
+    }
+    return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function tlv(tag, content) {
+    return Buffer.concat([Buffer.from([tag]), encodeLength(content.length), content]);
+}
+
+const sequence = (...items) => tlv(0x30, Buffer.concat(items));
+const set = (...items) => tlv(0x31, Buffer.concat(items));
+const explicit = (tagNumber, content) => tlv(0xa0 | tagNumber, content);
+const octetString = (content) => tlv(0x04, content);
+const bitString = (content) => tlv(0x03, Buffer.concat([Buffer.from([0]), content]));
+const utf8String = (value) => tlv(0x0c, Buffer.from(value, 'utf8'));
+const boolean = (value) => tlv(0x01, Buffer.from([value ? 0xff : 0]));
+const nullValue = () => Buffer.from([0x05, 0x00]);
+
+// Unsigned big-endian bytes as a positive INTEGER
+function integer(bytes) {
+    let value = Buffer.from(bytes);
+    while (value.length > 1 && value[0] === 0 && value[1] < 0x80) {
+        value = value.subarray(1);
+    }
+    if (value[0] & 0x80) {
+        value = Buffer.concat([Buffer.from([0]), value]);
+    }
+    return tlv(0x02, value);
+}
+
+function objectIdentifier(oid) {
+    const [first, second, ...rest] = oid.split('.').map(Number);
+    const bytes = [first * 40 + second];
+    rest.forEach(part => {
+        const chunk = [part & 0x7f];
+        for (let value = part >>> 7; value > 0; value >>>= 7) {
+            chunk.unshift((value & 0x7f) | 0x80);
+        }
+        bytes.push(...chunk);
+    });
+    return tlv(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2049, GeneralizedTime after (RFC 5280 4.1.2.5)
+function time(date) {
+    const iso = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    return date.getUTCFullYear() < 2050
+        ? tlv(0x17, Buffer.from(`${iso.slice(2)}Z`))
+        : tlv(0x18, Buffer.from(`${iso}Z`));
+}
+
+const OID = {
+    sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+    commonName: '2.5.4.3',
+    organizationName: '2.5.4.10',
+    basicConstraints: '2.5.29.19',
+    keyUsage: '2.5.29.15',
+    extKeyUsage: '2.5.29.37',
+    subjectAltName: '2.5.29.17',
+    serverAuth: '1.3.6.1.5.5.7.3.1'
+};
+
+function extension(oid, value, critical) {
+    return sequence(objectIdentifier(oid), ...(critical ? [boolean(true)] : []), octetString(value));
+}
+
+// dNSName is [2] and iPAddress is [7], both implicitly tagged
+function subjectAltNames(hosts) {
+    return sequence(...hosts.map(host => {
+        if (net.isIPv4(host)) {
+            return tlv(0x87, Buffer.from(host.split('.').map(Number)));
+        }
+        if (net.isIPv6(host)) {
+            return tlv(0x87, ipv6ToBytes(host));
+        }
+        return tlv(0x82, Buffer.from(host, 'ascii'));
+    }));
+}
+
+function ipv6ToBytes(address) {
+    const [head, tail = ''] = address.split('%')[0].split('::');
+    const toGroups = (part) => (part ? part.split(':') : []);
+    const headGroups = toGroups(head);
+    const tailGroups = toGroups(tail);
+    const groups = address.includes('::')
+        ? [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups]
+        : headGroups;
+
+    const bytes = Buffer.alloc(16);
+    groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+    return bytes;
+}
+
+function toPem(label, der) {
+    const lines = der.toString('base64').match(/.{1,64}/g);
+    return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+// ==========================================================================
+// Certificate Generation
+// ==========================================================================
+
+// Hosts the certificate is valid for: the configured host, loopback and
+// every LAN address, so phones and other machines can connect too
+function getCertificateHosts(host) {
+    const hosts = new Set(['localhost', '127.0.0.1', '::1']);
+    if (host && host !== '0.0.0.0' && host !== '::') {
+        hosts.add(host);
+    }
+
+    Object.values(os.networkInterfaces()).flat().forEach(info => {
+        if (info && !info.internal && !info.address.startsWith('fe80:')) {
+            hosts.add(info.address);
+        }
+    });
+
+    return Array.from(hosts);
+}
+
+// Creates a self-signed RSA certificate for hosts. Returns PEM strings.
+async function createSelfSignedCertificate(hosts, options = {}) {
+    const days = options.days || VALIDITY_DAYS;
+    const { publicKey, privateKey } = await generateKeyPair('rsa', { modulusLength: 2048 });
+
+    const notBefore = new Date(Date.now() - 60 * 1000); // Allow for clock skew
+    const notAfter = new Date(notBefore.getTime() + days * 24 * 60 * 60 * 1000);
+    const name = sequence(
+        set(sequence(objectIdentifier(OID.organizationName), utf8String('FlowSync Development'))),
+        set(sequence(objectIdentifier(OID.commonName), utf8String(hosts[0])))
+    );
+    const signatureAlgorithm = sequence(objectIdentifier(OID.sha256WithRSAEncryption), nullValue());
+
+    const tbsCertificate = sequence(
+        explicit(0, integer([2])), // v3
+        integer(crypto.randomBytes(16)),
+        signatureAlgorithm,
+        name,
+        sequence(time(notBefore), time(notAfter)),
+        name,
+        publicKey.export({ type: 'spki', format: 'der' }),
+        explicit(3, sequence(
+            extension(OID.basicConstraints, sequence(), true),
+            // digitalSignature and keyEncipherment
+            extension(OID.keyUsage, tlv(0x03, Buffer.from([0x05, 0xa0])), true),
+            extension(OID.extKeyUsage, sequence(objectIdentifier(OID.serverAuth))),
+            extension(OID.subjectAltName, subjectAltNames(hosts))
+        ))
+    );
+
+    const signature = crypto.sign('sha256', tbsCertificate, privateKey);
+    const certificate = sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+
+    return {
+        cert: toPem('CERTIFICATE', certificate),
+        key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+        hosts,
+        expires: notAfter.toISOString()
+    };
+}
+
+// ==========================================================================
+// Loading
+// ==========================================================================
+
+function readCachedCertificate(cacheDir, hosts) {
+    try {
+        const meta = JSON.parse(fs.readFileSync(path.join(cacheDir, META_FILE), 'utf8'));
+        const coversHosts = hosts.every(host => meta.hosts.includes(host));
+        if (!coversHosts || Date.parse(meta.expires) - Date.now() < RENEW_BEFORE_MS) {
+            return null;
+        }
+
+        return {
+            cert: fs.readFileSync(path.join(cacheDir, CERT_FILE), 'utf8'),
+            key: fs.readFileSync(path.join(cacheDir, KEY_FILE), 'utf8'),
+            hosts: meta.hosts,
+            expires: meta.expires
+        };
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeCachedCertificate(cacheDir, certificate) {
+    await fs.promises.mkdir(cacheDir, { recursive: true });
+    await Promise.all([
+        fs.promises.writeFile(path.join(cacheDir, CERT_FILE), certificate.cert),
+        fs.promises.writeFile(path.join(cacheDir, KEY_FILE), certificate.key, { mode: 0o600 }),
+        fs.promises.writeFile(path.join(cacheDir, META_FILE), `${JSON.stringify({
+            hosts: certificate.hosts,
+            expires: certificate.expires
+        }, null, 2)}\n`)
+    ]);
+}
+
+// Resolves to { cert, key, selfSigned, hosts? }. certPath and keyPath take
+// precedence; otherwise the self-signed certificate in cacheDir is reused
+// while it covers every host, and replaced when it does not.
+async function loadCertificate(options) {
+    const { certPath, keyPath, cacheDir, host } = options;
+
+    if (certPath || keyPath) {
+        if (!certPath || !keyPath) {
+            throw new Error('HTTPS needs both a certificate and a key (--cert and --key)');
+        }
+        try {
+            return {
+                cert: await fs.promises.readFile(certPath),
+                key: await fs.promises.readFile(keyPath),
+                selfSigned: false
+            };
+        } catch (error) {
+            throw new Error(`Could not read the HTTPS certificate: ${error.message}`);
+        }
+    }
+
+    const hosts = getCertificateHosts(host);
+    const cached = readCachedCertificate(cacheDir, hosts);
+    if (cached) {
+        return { ...cached, selfSigned: true };
+    }
+
+    const certificate = await createSelfSignedCertificate(hosts);
+    await writeCachedCertificate(cacheDir, certificate);
+    return { ...certificate, selfSigned: true, created: true };
+}
+
+module.exports = {
+    loadCertificate,
+    createSelfSignedCertificate,
+    getCertificateHosts
+};
@@ -0,0 +1,521 @@
+/**
+ * FlowSync Landing Page - Content Pages
+ * Renders the Markdown in content/blog and content/docs into the site
+ * layout: articles, paginated indexes, tag pages and an Atom feed. The dev
+ * server renders pages on request, the build writes all of them to dist/.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./http-utils');
+const { renderMarkdown, slugify, stripTags } = require('./markdown');
+const { renderIncludes } = require('./includes');
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+// One entry per directory in content/. "date" collections list the newest
+// entry first and require a date; "order" collections sort by their order
+// field, then by title.
+const collections = {
+    blog: {
+        title: 'Blog',
+        description: 'News, product updates and tips from the FlowSync team.',
+        sort: 'date',
+        pageSize: 10,
+        feed: true
+    },
+    docs: {
+        title: 'Documentation',
+        description: 'Guides and reference for getting the most out of FlowSync.',
+        sort: 'order',
+        pageSize: 20,
+        feed: false
+    }
+};
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 160;
+const FEED_FILE = 'feed.xml';
+const FEED_SIZE = 20;
+
+// Entry file names become URL segments: content/blog/hello-world.md is
+// served at /blog/hello-world/
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// ==========================================================================
+// Front Matter
+// ==========================================================================
+
+function parseScalar(raw) {
+    const value = raw.trim();
+    if (/^(["']).*\1$/.test(value)) return value.slice(1, -1);
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+// The YAML subset used in content/: "key: value" pairs, quoted strings,
+// numbers, booleans and lists as [a, b] or as "- item" lines
+function parseFrontMatter(source, file) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(source);
+    if (!match) {
+        return { data: {}, body: source };
+    }
+
+    const data = {};
+    let listKey = null;
+
+    match[1].split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '' || line.trim().startsWith('#')) return;
+
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item && listKey) {
+            data[listKey].push(parseScalar(item[1]));
+            return;
+        }
+
+        const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+        if (!pair) {
+            throw new Error(`${file}: cannot read front matter line ${index + 2}: ${line.trim()}`);
+        }
+
+        const [, key, raw] = pair;
+        if (raw === '') {
+            data[key] = [];
+            listKey = key;
+        } else {
+            listKey = null;
+            data[key] = /^\[.*\]$/.test(raw)
+                ? raw.slice(1, -1).split(',').map(part => part.trim()).filter(Boolean).map(parseScalar)
+                : parseScalar(raw);
+        }
+    });
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+// ==========================================================================
+// Collections
+// ==========================================================================
+
+function parseDate(value, file, field) {
+    if (value === undefined || value === '') return null;
+    const date = new Date(String(value));
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`${file}: "${field}" is not a date: ${value}`);
+    }
+    return date;
+}
+
+function createExcerpt(html) {
+    const paragraph = /<p>([\s\S]*?)<\/p>/.exec(html);
+    const text = paragraph ? stripTags(paragraph[1]).replace(/\s+/g, ' ').trim() : '';
+    if (text.length <= EXCERPT_LENGTH) return text;
+    return `${text.slice(0, text.lastIndexOf(' ', EXCERPT_LENGTH))}…`;
+}
+
+function loadEntry(dir, name, fileName) {
+    const file = `content/${name}/${fileName}`;
+    const slug = fileName.slice(0, -'.md'.length);
+    if (!SLUG_PATTERN.test(slug)) {
+        throw new Error(`${file}: file names may only use lowercase letters, digits and dashes`);
+    }
+
+    const { data, body } = parseFrontMatter(fs.readFileSync(path.join(dir, name, fileName), 'utf8'), file);
+    if (!data.title) {
+        throw new Error(`${file}: the front matter needs a title`);
+    }
+
+    const date = parseDate(data.date, file, 'date');
+    if (collections[name].sort === 'date' && !date) {
+        throw new Error(`${file}: the front matter needs a date (YYYY-MM-DD)`);
+    }
+
+    const { html, headings } = renderMarkdown(body);
+    const words = body.split(/\s+/).filter(word => /\w/.test(word)).length;
+    const tags = [].concat(data.tags || []).map(String);
+
+    return {
+        collection: name,
+        slug,
+        file,
+        url: `/${name}/${slug}/`,
+        title: String(data.title),
+        description: data.description ? String(data.description) : createExcerpt(html),
+        date,
+        updated: parseDate(data.updated, file, 'updated') || date,
+        author: data.author ? String(data.author) : null,
+        image: data.image ? String(data.image) : null,
+        tags: tags.map(tag => ({ name: tag, slug: slugify(tag) })),
+        order: typeof data.order === 'number' ? data.order : Infinity,
+        draft: data.draft === true,
+        readingTime: Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
+        html,
+        headings
+    };
+}
+
+// Entries are read from disk on every call, so edits show up on the next
+// request without any cache to invalidate
+function loadCollection(dir, name, drafts) {
+    const collectionDir = path.join(dir, name);
+    if (!fs.existsSync(collectionDir)) return [];
+
+    const entries = fs.readdirSync(collectionDir)
+        .filter(fileName => fileName.endsWith('.md'))
+        .map(fileName => loadEntry(dir, name, fileName))
+        .filter(entry => drafts || !entry.draft);
+
+    const byTitle = (a, b) => a.title.localeCompare(b.title);
+    return entries.sort(collections[name].sort === 'date'
+        ? (a, b) => b.date - a.date || byTitle(a, b)
+        : (a, b) => (a.order === b.order ? 0 : a.order < b.order ? -1 : 1) || byTitle(a, b));
+}
+
+// ==========================================================================
+// Routes
+// ==========================================================================
+
+// "/blog/tags/release/page/2/" -> { collection: 'blog', type: 'tag',
+// tag: 'release', page: 2 }. Returns null for anything else.
+function parseContentPath(urlPath) {
+    const parts = urlPath.split('/').filter(Boolean);
+    const name = parts[0];
+    if (!Object.prototype.hasOwnProperty.call(collections, name)) return null;
+
+    let rest = parts.slice(1);
+    if (rest.length === 1 && rest[0] === FEED_FILE) {
+        return collections[name].feed ? { collection: name, type: 'feed' } : null;
+    }
+
+    let page = 1;
+    if (rest.length >= 2 && rest[rest.length - 2] === 'page') {
+        page = /^[1-9]\d*$/.test(rest[rest.length - 1]) ? Number(rest[rest.length - 1]) : NaN;
+        // Page 1 is the index itself
+        if (!(page >= 2)) return null;
+        rest = rest.slice(0, -2);
+    }
+
+    if (rest.length === 0) return { collection: name, type: 'index', page };
+    if (rest.length === 2 && rest[0] === 'tags') return { collection: name, type: 'tag', tag: rest[1], page };
+    if (rest.length === 1 && page === 1 && SLUG_PATTERN.test(rest[0])) return { collection: name, type: 'entry', slug: rest[0] };
+    return null;
+}
+
+function listUrl(name, tag, page) {
+    const base = tag ? `/${name}/tags/${tag}/` : `/${name}/`;
+    return page > 1 ? `${base}page/${page}/` : base;
+}
+
+// Output file of a URL: "/blog/hello-world/" -> "blog/hello-world/index.html"
+function toPageFile(urlPath) {
+    return `${urlPath.replace(/^\//, '')}index.html`;
+}
+
+// Relative links keep visitors inside their locale (/de/blog/...)
+function relativeUrl(fromFile, toUrl) {
+    const target = toUrl.replace(/^\/|\/$/g, '') || '.';
+    const relative = path.posix.relative(path.posix.dirname(fromFile), target);
+    return relative ? `${relative}/` : './';
+}
+
+// ==========================================================================
+// Templates
+// ==========================================================================
+
+function formatDate(date, locale) {
+    return new Intl.DateTimeFormat(locale || 'en', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }).format(date);
+}
+
+function renderMeta(entry, locale) {
+    const parts = [];
+    if (entry.date) {
+        parts.push(`<time datetime="${entry.date.toISOString().slice(0, 10)}">${escapeHtml(formatDate(entry.date, locale))}</time>`);
+    }
+    if (entry.author) {
+        parts.push(`<span>${escapeHtml(entry.author)}</span>`);
+    }
+    parts.push(`<span>${entry.readingTime} <span data-i18n="content.minRead">min read</span></span>`);
+    return `<p class="content-meta">${parts.join(' ')}</p>`;
+}
+
+function renderTags(entry, file) {
+    if (entry.tags.length === 0) return '';
+    const links = entry.tags.map(tag =>
+        `<li><a href="${relativeUrl(file, listUrl(entry.collection, tag.slug, 1))}" class="content-tag">${escapeHtml(tag.name)}</a></li>`
+    );
+    return `<ul class="content-tags" role="list" aria-label="Tags" data-i18n="[aria-label]content.tags">${links.join('')}</ul>`;
+}
+
+// Joins template lines at the given indentation, leaving out empty ones
+function joinLines(lines, indentation) {
+    return lines.filter(Boolean).join(`\n${' '.repeat(indentation)}`);
+}
+
+function renderDraftBadge(entry) {
+    return entry.draft ? '<p class="content-draft" data-i18n="content.draft">Draft</p>' : '';
+}
+
+function renderEntry(entry, file, locale) {
+    return `        <article class="page content-article" aria-labelledby="page-title">
+            <div class="container page-content">
+                ${joinLines([
+                    `<a href="${relativeUrl(file, `/${entry.collection}/`)}" class="content-back" data-i18n="content.${entry.collection}.title">${escapeHtml(collections[entry.collection].title)}</a>`,
+                    renderDraftBadge(entry),
+                    `<h1 id="page-title" class="section-title">${escapeHtml(entry.title)}</h1>`,
+                    renderMeta(entry, locale),
+                    renderTags(entry, file)
+                ], 16)}
+                <div class="content-body">
+${entry.html}
+                </div>
+            </div>
+        </article>`;
+}
+
+function renderPagination(route, pageCount, file) {
+    if (pageCount <= 1) return '';
+    const link = (page, rel, key, label) =>
+        `<a href="${relativeUrl(file, listUrl(route.collection, route.tag, page))}" rel="${rel}" data-i18n="content.${key}">${label}</a>`;
+
+    return `<nav class="content-pagination" aria-label="Pagination" data-i18n="[aria-label]content.pagination">
+                    ${route.page > 1 ? link(route.page - 1, 'prev', 'previous', 'Previous page') : '<span></span>'}
+                    <span><span data-i18n="content.page">Page</span> ${route.page} / ${pageCount}</span>
+                    ${route.page < pageCount ? link(route.page + 1, 'next', 'next', 'Next page') : '<span></span>'}
+                </nav>`;
+}
+
+function renderList(route, entries, pageCount, file, locale) {
+    const collection = collections[route.collection];
+    const heading = route.tag
+        ? `<span data-i18n="content.tagged">Tagged</span> “${escapeHtml(route.tagName)}”`
+        : `<span data-i18n="content.${route.collection}.title">${escapeHtml(collection.title)}</span>`;
+    const feedLink = collection.feed
+        ? `<p><a href="/${route.collection}/${FEED_FILE}" class="content-feed-link" data-i18n="content.feed">Subscribe to the feed</a></p>`
+        : '';
+
+    const items = entries.map(entry => `<li class="content-entry">
+                        <article>
+                            ${joinLines([
+                                renderDraftBadge(entry),
+                                `<h2><a href="${relativeUrl(file, entry.url)}">${escapeHtml(entry.title)}</a></h2>`,
+                                renderMeta(entry, locale),
+                                `<p>${escapeHtml(entry.description)}</p>`
+                            ], 28)}
+                        </article>
+                    </li>`);
+    const list = items.length > 0
+        ? `<ol class="content-entries" role="list">
+                    ${items.join('\n                    ')}
+                </ol>`
+        : '<p data-i18n="content.empty">Nothing here yet.</p>';
+
+    return `        <section class="page content-list" aria-labelledby="page-title">
+            <div class="container page-content">
+                ${joinLines([
+                    `<h1 id="page-title" class="section-title">${heading}</h1>`,
+                    `<p class="page-intro" data-i18n="content.${route.collection}.description">${escapeHtml(collection.description)}</p>`,
+                    feedLink,
+                    list,
+                    renderPagination(route, pageCount, file)
+                ], 16)}
+            </div>
+        </section>`;
+}
+
+// The same layout as the pages in src/, built from the same partials
+function renderLayout(page) {
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <!-- @include /partials/head.html -->
+${page.head.map(line => `    ${line}\n`).join('')}</head>
+<body>
+    <!-- @include /partials/header.html -->
+
+    <!-- Main Content -->
+    <main id="main-content" class="main" role="main">
+${page.main}
+    </main>
+
+    <!-- @include /partials/footer.html -->
+
+    <!-- @include /partials/scripts.html -->
+</body>
+</html>
+`;
+
+    return renderIncludes(html, {
+        root: page.root,
+        file: page.file,
+        variables: {
+            title: `${page.title} - FlowSync`,
+            titleKey: page.titleKey,
+            description: page.description,
+            descriptionKey: page.descriptionKey,
+            ogType: page.ogType,
+            image: page.image,
+            base: relativeUrl(page.file, '/'),
+            active: page.collection
+        }
+    });
+}
+
+function renderFeed(name, entries, siteUrl) {
+    const collection = collections[name];
+    const absolute = (url) => `${siteUrl}${url}`;
+    const updated = entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), new Date(0));
+
+    const items = entries.slice(0, FEED_SIZE).map(entry => `  <entry>
+    <title>${escapeHtml(entry.title)}</title>
+    <link href="${absolute(entry.url)}"/>
+    <id>${absolute(entry.url)}</id>
+    <published>${entry.date.toISOString()}</published>
+    <updated>${entry.updated.toISOString()}</updated>${entry.author ? `
+    <author><name>${escapeHtml(entry.author)}</name></author>` : ''}
+    <summary>${escapeHtml(entry.description)}</summary>
+${entry.tags.map(tag => `    <category term="${escapeHtml(tag.name)}"/>\n`).join('')}    <content type="html" xml:base="${absolute(entry.url)}">${escapeHtml(entry.html)}</content>
+  </entry>
+`).join('');
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>FlowSync ${escapeHtml(collection.title)}</title>
+  <subtitle>${escapeHtml(collection.description)}</subtitle>
+  <link href="${absolute(`/${name}/${FEED_FILE}`)}" rel="self"/>
+  <link href="${absolute(`/${name}/`)}"/>
+  <id>${absolute(`/${name}/`)}</id>
+  <updated>${updated.toISOString()}</updated>
+  <author><name>FlowSync Team</name></author>
+${items}</feed>
+`;
+}
+
+// ==========================================================================
+// Content Site
+// ==========================================================================
+
+// options: dir (content/), root (src/, for the partials) and drafts (true
+// to include entries marked "draft: true", for development only)
+function createContentSite(options) {
+    const { dir, root, drafts } = options;
+
+    function renderRoute(route, urlPath, { locale, localePath = '', siteUrl = '' }) {
+        const entries = loadCollection(dir, route.collection, drafts);
+        const collection = collections[route.collection];
+        const file = toPageFile(urlPath);
+        const page = `content/${route.collection}`;
+        const feedHead = collection.feed
+            ? [`<link rel="alternate" type="application/atom+xml" title="FlowSync ${escapeHtml(collection.title)}" href="/${route.collection}/${FEED_FILE}">`]
+            : [];
+        const canonical = siteUrl ? [`<link rel="canonical" href="${escapeHtml(siteUrl + localePath + urlPath)}">`] : [];
+
+        if (route.type === 'feed') {
+            return { type: 'xml', body: renderFeed(route.collection, entries.filter(entry => !entry.draft), siteUrl), page };
+        }
+
+        if (route.type === 'entry') {
+            const entry = entries.find(candidate => candidate.slug === route.slug);
+            if (!entry) return null;
+
+            const head = [...canonical, ...feedHead];
+            if (entry.date) {
+                head.push(`<meta property="article:published_time" content="${entry.date.toISOString()}">`);
+            }
+            entry.tags.forEach(tag => head.push(`<meta property="article:tag" content="${escapeHtml(tag.name)}">`));
+            if (entry.draft) {
+                head.push('<meta name="robots" content="noindex">');
+            }
+
+            const { html } = renderLayout({
+                root,
+                file,
+                collection: route.collection,
+                title: entry.title,
+                description: entry.description,
+                ogType: 'article',
+                image: entry.image && entry.image.startsWith('/') ? `${siteUrl}${entry.image}` : entry.image,
+                head,
+                main: renderEntry(entry, file, locale)
+            });
+            return { type: 'html', body: html, page };
+        }
+
+        let listed = entries;
+        if (route.type === 'tag') {
+            listed = entries.filter(entry => entry.tags.some(tag => tag.slug === route.tag));
+            if (listed.length === 0) return null;
+            route.tagName = listed[0].tags.find(tag => tag.slug === route.tag).name;
+        }
+
+        const pageCount = Math.max(1, Math.ceil(listed.length / collection.pageSize));
+        if (route.page > pageCount) return null;
+        const pageEntries = listed.slice((route.page - 1) * collection.pageSize, route.page * collection.pageSize);
+
+        const { html } = renderLayout({
+            root,
+            file,
+            collection: route.collection,
+            title: route.tag ? `${route.tagName} - ${collection.title}` : collection.title,
+            titleKey: route.tag ? '' : `content.${route.collection}.pageTitle`,
+            description: collection.description,
+            descriptionKey: `content.${route.collection}.description`,
+            ogType: 'website',
+            head: [...canonical, ...feedHead],
+            main: renderList(route, pageEntries, pageCount, file, locale)
+        });
+        return { type: 'html', body: html, page };
+    }
+
+    return {
+        // Renders a URL path (without locale prefix). renderOptions: locale
+        // for dates, localePath ("/de") and siteUrl for canonical links and
+        // the feed. Returns null when it is not a content page, { redirect }
+        // for a missing trailing slash, or { type: 'html' | 'xml', body,
+        // page } where page names the collection for live reload
+        // ("content/blog"). Throws on invalid content, e.g. front matter
+        // without a title.
+        render(urlPath, renderOptions = {}) {
+            const route = parseContentPath(urlPath);
+            if (!route) return null;
+            if (route.type !== 'feed' && !urlPath.endsWith('/')) {
+                return { redirect: `${urlPath}/` };
+            }
+            return renderRoute(route, urlPath, renderOptions);
+        },
+
+        // Every URL path the content renders to, for the build
+        paths() {
+            return Object.keys(collections).flatMap(name => {
+                const entries = loadCollection(dir, name, drafts);
+                const { pageSize, feed } = collections[name];
+                const listPaths = (tag, count) => Array.from({ length: Math.max(1, Math.ceil(count / pageSize)) }, (value, index) => listUrl(name, tag, index + 1));
+
+                const tagCounts = new Map();
+                entries.forEach(entry => entry.tags.forEach(tag => tagCounts.set(tag.slug, (tagCounts.get(tag.slug) || 0) + 1)));
+
+                if (entries.length === 0) return [];
+                return [
+                    ...listPaths(null, entries.length),
+                    ...entries.map(entry => entry.url),
+                    ...Array.from(tagCounts, ([tag, count]) => listPaths(tag, count)).flat(),
+                    ...(feed ? [`/${name}/${FEED_FILE}`] : [])
+                ];
+            });
+        },
+
+        // Whether content pages include the partial (root-relative path)
+        usesPartial(partial) {
+            const { dependencies } = renderLayout({ root, file: 'index.html', head: [], main: '' });
+            return dependencies.includes(partial);
+        }
+    };
+}
+
+module.exports = {
+    createContentSite,
+    parseFrontMatter,
+    collections
+};
@@ -0,0 +1,147 @@
+/**
+ * FlowSync Landing Page - Experiment Overrides
+ * Serves /__experiments, a dev-only page that forces A/B variants by
+ * setting the cookie read by src/js/experiments.js
+ */
+
+const fs = require('fs');
+const { HttpError, escapeHtml, readCookie } = require('./http-utils');
+
+// Must match experimentsConfig.cookieName in src/js/experiments.js
+const OVERRIDE_COOKIE = 'flowsync_exp';
+
+// ==========================================================================
+// Cookie Helpers
+// ==========================================================================
+
+function parseOverrides(value) {
+    const overrides = {};
+    (value || '').split(',').forEach(pair => {
+        const [experimentId, variantId] = pair.split(':').map(part => part && part.trim());
+        if (experimentId && variantId) {
+            overrides[experimentId] = variantId;
+        }
+    });
+    return overrides;
+}
+
+function serializeOverrides(overrides) {
+    return Object.keys(overrides).map(id => `${id}:${overrides[id]}`).join(',');
+}
+
+function readOverrideCookie(req) {
+    return parseOverrides(readCookie(req, OVERRIDE_COOKIE) || '');
+}
+
+// Not HttpOnly: the client-side experiments module reads it
+function overrideCookieHeader(overrides) {
+    const value = serializeOverrides(overrides);
+    return value
+        ? `${OVERRIDE_COOKIE}=${encodeURIComponent(value)}; Path=/; SameSite=Lax`
+        : `${OVERRIDE_COOKIE}=; Path=/; SameSite=Lax; Max-Age=0`;
+}
+
+// ==========================================================================
+// Page Rendering
+// ==========================================================================
+
+function renderExperimentsPage(experiments, overrides, nonce) {
+    const rows = experiments.map(experiment => {
+        const links = experiment.variants.map(variant => {
+            const forced = overrides[experiment.id] === variant.id;
+            const href = `?force=${encodeURIComponent(`${experiment.id}:${variant.id}`)}`;
+            return `<a href="${escapeHtml(href)}"${forced ? ' class="forced" aria-current="true"' : ''}>${escapeHtml(variant.id)} (${Number(variant.weight) || 0})</a>`;
+        }).join(' ');
+
+        const reset = overrides[experiment.id]
+            ? ` <a href="?unforce=${encodeURIComponent(experiment.id)}">random</a>`
+            : '';
+
+        return `<tr>
+            <td><strong>${escapeHtml(experiment.id)}</strong>${experiment.active === false ? ' (inactive)' : ''}<br><span class="muted">${escapeHtml(experiment.description || '')}</span></td>
+            <td>${links}${reset}</td>
+        </tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Experiments - FlowSync Dev Server</title>
+    <style${nonce ? ` nonce="${nonce}"` : ''}>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 40px; color: #333; }
+        h1 { color: #4a90e2; }
+        table { border-collapse: collapse; }
+        td { padding: 10px 16px 10px 0; border-bottom: 1px solid #eee; vertical-align: top; }
+        a { margin-right: 8px; }
+        .forced { font-weight: bold; }
+        .muted { color: #666; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <h1>Experiments</h1>
+    <p>Forcing a variant sets the <code>${OVERRIDE_COOKIE}</code> cookie for this browser. Use <code>?exp=id:variant</code> on any page for a one-off override.</p>
+    ${rows ? `<table><tbody>${rows}</tbody></table>` : '<p>No experiments defined.</p>'}
+    <p><a href="?clear=1">Clear all overrides</a> · <a href="/">Back to site</a></p>
+</body>
+</html>`;
+}
+
+// ==========================================================================
+// Request Handler
+// ==========================================================================
+
+function createExperimentsHandler(options) {
+    const configPath = options.configPath;
+
+    async function loadExperiments() {
+        try {
+            const { experiments = [] } = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+            return experiments;
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new HttpError(500, 'invalid_config', `Could not read experiments: ${error.message}`);
+        }
+    }
+
+    return async function handleExperimentsRequest(req, res) {
+        const experiments = await loadExperiments();
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const overrides = readOverrideCookie(req);
+
+        if (query.has('force') || query.has('unforce') || query.has('clear')) {
+            if (query.has('clear')) {
+                Object.keys(overrides).forEach(id => delete overrides[id]);
+            }
+            if (query.has('unforce')) {
+                delete overrides[query.get('unforce')];
+            }
+            if (query.has('force')) {
+                const [experimentId, variantId] = query.get('force').split(':');
+                const experiment = experiments.find(item => item.id === experimentId);
+                if (!experiment || !experiment.variants.some(variant => variant.id === variantId)) {
+                    throw new HttpError(400, 'unknown_variant', `Unknown variant "${query.get('force')}"`);
+                }
+                overrides[experimentId] = variantId;
+            }
+
+            res.writeHead(303, {
+                'Location': req.url.split('?')[0],
+                'Set-Cookie': overrideCookieHeader(overrides)
+            });
+            res.end();
+            return;
+        }
+
+        const body = renderExperimentsPage(experiments, overrides, res.locals && res.locals.nonce);
+        res.writeHead(200, {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-store'
+        });
+        res.end(body);
+    };
+}
+
+module.exports = { createExperimentsHandler, OVERRIDE_COOKIE };
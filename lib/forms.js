@@ -0,0 +1,156 @@
+/**
+ * FlowSync Landing Page - Form Submission API
+ * Validates form posts against per-form schemas and stores them as NDJSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseBody } = require('./body-parser');
+const { HttpError, sendJson } = require('./http-utils');
+
+// ==========================================================================
+// Form Schemas
+// ==========================================================================
+
+// Each field supports: label, type ('string' | 'email' | 'enum'), required,
+// minLength, maxLength, pattern and values (for enums).
+const formSchemas = {
+    contact: {
+        name: { label: 'Name', type: 'string', required: true, maxLength: 100 },
+        email: { label: 'Email', type: 'email', required: true, maxLength: 254 },
+        company: { label: 'Company', type: 'string', maxLength: 100 },
+        message: { label: 'Message', type: 'string', required: true, minLength: 10, maxLength: 5000 },
+        // The plan a pricing CTA was clicked for, if any
+        plan: { label: 'Plan', type: 'enum', values: ['starter', 'professional', 'enterprise'] },
+        billing: { label: 'Billing period', type: 'enum', values: ['monthly', 'annual'] }
+    },
+    signup: {
+        name: { label: 'Name', type: 'string', required: true, maxLength: 100 },
+        email: { label: 'Email', type: 'email', required: true, maxLength: 254 },
+        company: { label: 'Company', type: 'string', maxLength: 100 },
+        plan: { label: 'Plan', type: 'enum', values: ['starter', 'professional', 'enterprise'] },
+        billing: { label: 'Billing period', type: 'enum', values: ['monthly', 'annual'] }
+    },
+    // Sign-in link request from the header dialog
+    signin: {
+        email: { label: 'Email', type: 'email', required: true, maxLength: 254 }
+    }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ==========================================================================
+// Validation
+// ==========================================================================
+
+function validateField(rules, rawValue) {
+    // Only the last value counts when a single-value field is repeated
+    const value = Array.isArray(rawValue) ? rawValue[rawValue.length - 1] : rawValue;
+    const text = value === undefined || value === null ? '' : String(value).trim();
+
+    if (!text) {
+        return rules.required ? { error: `${rules.label} is required` } : { value: undefined };
+    }
+
+    if (rules.minLength && text.length < rules.minLength) {
+        return { error: `${rules.label} must be at least ${rules.minLength} characters` };
+    }
+
+    if (rules.maxLength && text.length > rules.maxLength) {
+        return { error: `${rules.label} must be at most ${rules.maxLength} characters` };
+    }
+
+    if (rules.type === 'email' && !EMAIL_PATTERN.test(text)) {
+        return { error: `${rules.label} must be a valid email address` };
+    }
+
+    if (rules.type === 'enum' && !rules.values.includes(text)) {
+        return { error: `${rules.label} must be one of: ${rules.values.join(', ')}` };
+    }
+
+    if (rules.pattern && !rules.pattern.test(text)) {
+        return { error: `${rules.label} is not in the expected format` };
+    }
+
+    return { value: text };
+}
+
+function validateSubmission(schema, fields) {
+    const values = {};
+    const errors = {};
+
+    Object.keys(schema).forEach(name => {
+        const result = validateField(schema[name], fields[name]);
+        if (result.error) {
+            errors[name] = result.error;
+        } else if (result.value !== undefined) {
+            values[name] = result.value;
+        }
+    });
+
+    return { values, errors };
+}
+
+// ==========================================================================
+// Storage
+// ==========================================================================
+
+async function storeSubmission(storageDir, formType, record) {
+    await fs.promises.mkdir(storageDir, { recursive: true });
+    const filePath = path.join(storageDir, `${formType}.ndjson`);
+    await fs.promises.appendFile(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    return filePath;
+}
+
+// ==========================================================================
+// Request Handler
+// ==========================================================================
+
+function createFormHandler(options) {
+    const schemas = options.schemas || formSchemas;
+    const storageDir = options.storageDir;
+
+    return async function handleFormRequest(req, res, formType) {
+        const schema = Object.prototype.hasOwnProperty.call(schemas, formType) ? schemas[formType] : null;
+
+        if (!schema) {
+            throw new HttpError(404, 'unknown_form', `Unknown form type: ${formType}`);
+        }
+
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST');
+            throw new HttpError(405, 'method_not_allowed', 'Form submissions must use POST');
+        }
+
+        const { fields, files } = await parseBody(req);
+        const { values, errors } = validateSubmission(schema, fields);
+
+        if (Object.keys(errors).length > 0) {
+            throw new HttpError(422, 'validation_failed', 'Please correct the highlighted fields', { fields: errors });
+        }
+
+        const record = {
+            id: crypto.randomBytes(8).toString('hex'),
+            formType,
+            receivedAt: new Date().toISOString(),
+            data: values,
+            files,
+            meta: {
+                ip: req.socket.remoteAddress,
+                userAgent: req.headers['user-agent'] || null
+            }
+        };
+
+        const filePath = await storeSubmission(storageDir, formType, record);
+        console.log(`[API] Stored ${formType} submission ${record.id} in ${path.relative(process.cwd(), filePath)}`);
+
+        sendJson(res, 201, {
+            ok: true,
+            id: record.id,
+            message: 'Submission received'
+        });
+    };
+}
+
+module.exports = { createFormHandler, validateSubmission, formSchemas };
@@ -0,0 +1,17 @@
+/**
+ * FlowSync Landing Page - File System Utilities
+ * Directory helpers shared by the dev server and the build
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Every file below dir, recursively, as full paths
+function walk(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        return entry.isDirectory() ? walk(fullPath) : [fullPath];
+    });
+}
+
+module.exports = { walk };
@@ -0,0 +1,133 @@
+/**
+ * FlowSync Landing Page - HTTP Caching Helpers
+ * ETags, conditional requests, byte ranges and content-encoding negotiation
+ * used by the static file server in production mode
+ */
+
+const zlib = require('zlib');
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+// Matches the content hashes added by build.js, e.g. style.9e9d5892.css
+const HASHED_ASSET_PATTERN = /\.[0-9a-f]{8}\.[a-z0-9]+$/i;
+
+const COMPRESSIBLE_TYPE_PATTERN = /^(text\/|application\/(javascript|json|xml|manifest\+json)|image\/svg\+xml)/;
+
+// Compressing tiny responses costs more than it saves
+const MIN_COMPRESS_SIZE = 1024;
+
+// ==========================================================================
+// Validators
+// ==========================================================================
+
+function createETag(stats) {
+    return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+}
+
+// If-None-Match takes precedence over If-Modified-Since (RFC 9110 13.2.2)
+function isFresh(req, etag, lastModified) {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        const weakValue = (tag) => tag.trim().replace(/^W\//, '');
+        return ifNoneMatch === '*' || ifNoneMatch.split(',').some(tag => weakValue(tag) === weakValue(etag));
+    }
+
+    const ifModifiedSince = Date.parse(req.headers['if-modified-since']);
+    if (!Number.isNaN(ifModifiedSince)) {
+        // HTTP dates have one-second precision
+        return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+    }
+
+    return false;
+}
+
+function getCacheControl(filePath, mimeType) {
+    if (HASHED_ASSET_PATTERN.test(filePath)) {
+        return 'public, max-age=31536000, immutable';
+    }
+
+    // Everything else is revalidated with its ETag on each use
+    return mimeType.startsWith('text/html') ? 'no-cache' : 'public, max-age=0, must-revalidate';
+}
+
+// ==========================================================================
+// Byte Ranges
+// ==========================================================================
+
+// Parses a single "bytes=start-end" range. Returns null when the header is
+// absent or unsupported (multiple ranges) and { unsatisfiable: true } when it
+// cannot be served for a file of the given size.
+function parseRange(rangeHeader, size) {
+    if (!rangeHeader) return null;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start > end || start >= size) {
+        return { unsatisfiable: true };
+    }
+
+    return { start, end };
+}
+
+// ==========================================================================
+// Content Encoding
+// ==========================================================================
+
+function parseAcceptEncoding(header) {
+    const accepted = {};
+    (header || '').split(',').forEach(part => {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        if (!name) return;
+
+        const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        accepted[name] = qParam ? parseFloat(qParam.slice(2)) : 1;
+    });
+    return accepted;
+}
+
+// Picks "br" or "gzip" for compressible responses, preferring brotli
+function negotiateEncoding(req, mimeType, size) {
+    if (size < MIN_COMPRESS_SIZE || !COMPRESSIBLE_TYPE_PATTERN.test(mimeType)) {
+        return null;
+    }
+
+    const accepted = parseAcceptEncoding(req.headers['accept-encoding']);
+    const quality = (name) => (name in accepted ? accepted[name] : (accepted['*'] || 0));
+
+    if (quality('br') > 0 && quality('br') >= quality('gzip')) return 'br';
+    if (quality('gzip') > 0) return 'gzip';
+    return null;
+}
+
+function createEncoder(encoding) {
+    if (encoding === 'br') {
+        return zlib.createBrotliCompress({
+            params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 5 }
+        });
+    }
+    return zlib.createGzip();
+}
+
+module.exports = {
+    createETag,
+    isFresh,
+    getCacheControl,
+    parseRange,
+    negotiateEncoding,
+    createEncoder
+};
@@ -0,0 +1,67 @@
+/**
+ * FlowSync Landing Page - HTTP Utilities
+ * Error type, escaping, cookie and JSON response helpers shared by the dev
+ * server
+ */
+
+class HttpError extends Error {
+    constructor(status, code, message, details) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        const error = { code: this.code, message: this.message };
+        if (this.details) {
+            Object.assign(error, this.details);
+        }
+        return { ok: false, error };
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// The decoded value of the request's cookie called name, or null
+function readCookie(req, name) {
+    const prefix = `${name}=`;
+    const cookie = (req.headers.cookie || '').split(/;\s*/).find(part => part.startsWith(prefix));
+    if (!cookie) return null;
+    try {
+        return decodeURIComponent(cookie.slice(prefix.length));
+    } catch (error) {
+        return null;
+    }
+}
+
+function sendJson(res, status, payload, headers = {}) {
+    const body = JSON.stringify(payload);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-store',
+        ...headers
+    });
+    res.end(body);
+}
+
+function sendError(res, error) {
+    if (error instanceof HttpError) {
+        sendJson(res, error.status, error.toJSON());
+        return;
+    }
+
+    console.error('[API] Unexpected error:', error);
+    sendJson(res, 500, new HttpError(500, 'internal_error', 'Something went wrong').toJSON());
+}
+
+module.exports = { HttpError, escapeHtml, readCookie, sendJson, sendError };
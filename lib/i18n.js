@@ -0,0 +1,165 @@
+/**
+ * FlowSync Landing Page - Server-side Localization
+ * Loads src/locales, negotiates Accept-Language and prerenders data-i18n
+ * bindings into HTML so localized pages work without JavaScript
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./http-utils');
+const { parseI18nBindings, createTranslator, getLocalePath } = require('../src/js/i18n');
+
+// ==========================================================================
+// Locale Loading
+// ==========================================================================
+
+// Reads locales/index.json plus one <code>.json per locale. Returns null
+// when the directory has no manifest so callers can skip localization.
+function loadLocales(localesDir) {
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(path.join(localesDir, 'index.json'), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Could not read locales/index.json: ${error.message}`);
+    }
+
+    const messages = {};
+    manifest.locales.forEach(({ code }) => {
+        const filePath = path.join(localesDir, `${code}.json`);
+        try {
+            messages[code] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Could not read locales/${code}.json: ${error.message}`);
+        }
+    });
+
+    return {
+        defaultLocale: manifest.defaultLocale,
+        locales: manifest.locales,
+        messages
+    };
+}
+
+function findLocale(locales, code) {
+    return locales.locales.find(locale => locale.code === code) || null;
+}
+
+// ==========================================================================
+// Negotiation
+// ==========================================================================
+
+// Picks the best supported locale for an Accept-Language header, matching
+// exact tags first ("de-AT") and then primary subtags ("de")
+function negotiateLocale(header, locales) {
+    const supported = locales.locales.map(locale => locale.code.toLowerCase());
+
+    const ranges = (header || '').split(',').map((part, index) => {
+        const [tag, ...params] = part.trim().toLowerCase().split(';');
+        const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        return { tag, quality: qParam ? parseFloat(qParam.slice(2)) : 1, index };
+    }).filter(range => range.tag && range.quality > 0)
+        .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+    for (const { tag } of ranges) {
+        if (tag === '*') break;
+        const primary = tag.split('-')[0];
+        const match = supported.indexOf(tag) !== -1 ? tag : supported.find(code => code.split('-')[0] === primary);
+        if (match) {
+            return locales.locales[supported.indexOf(match)].code;
+        }
+    }
+
+    return locales.defaultLocale;
+}
+
+// Splits "/de/pricing.html" into { locale: 'de', path: '/pricing.html' };
+// returns null for paths without a non-default locale prefix
+function splitLocalePath(urlPath, locales) {
+    const match = /^\/([^/]+)(\/.*)?$/.exec(urlPath);
+    if (!match || match[1] === locales.defaultLocale || !findLocale(locales, match[1])) {
+        return null;
+    }
+    return { locale: match[1], path: match[2] || '/' };
+}
+
+// ==========================================================================
+// HTML Localization
+// ==========================================================================
+
+function setAttribute(tag, name, value) {
+    const escaped = escapeHtml(value);
+    const pattern = new RegExp(`(\\s${name}=)(?:"[^"]*"|'[^']*')`, 'i');
+    if (pattern.test(tag)) {
+        return tag.replace(pattern, (match, prefix) => `${prefix}"${escaped}"`);
+    }
+    return tag.replace(/\s*(\/?)>$/, ` ${name}="${escaped}"$1>`);
+}
+
+// hreflang links to the page at pagePath ("/blog/x/") in every locale
+function renderAlternateLinks(locales, pagePath) {
+    const links = locales.locales.map(locale =>
+        `<link rel="alternate" hreflang="${locale.code}" href="${escapeHtml(getLocalePath(locale.code, locales.defaultLocale) + pagePath.slice(1))}">`
+    );
+    links.push(`<link rel="alternate" hreflang="x-default" href="${escapeHtml(pagePath)}">`);
+    return links.map(link => `    ${link}\n`).join('');
+}
+
+// Applies every data-i18n binding for the given locale. Text bindings
+// replace the element's content, so they belong on elements without child
+// elements (wrap the text in a <span> otherwise). Missing keys fall back to
+// the default locale, then to the markup as written. options.path is the
+// page's URL without the locale prefix; hreflang alternates are only added
+// when it is given, i.e. when the page exists in every locale.
+function localizeHtml(html, locales, code, options = {}) {
+    const locale = findLocale(locales, code) || findLocale(locales, locales.defaultLocale);
+    const lookup = createTranslator(locales.messages[locale.code], locales.messages[locales.defaultLocale]);
+
+    let output = '';
+    let position = 0;
+    const tagPattern = /<([a-z][\w-]*)\b[^>]*\sdata-i18n=(["'])([^"']*)\2[^>]*>/gi;
+    let match;
+
+    while ((match = tagPattern.exec(html)) !== null) {
+        const [openTag, tagName, , bindingValue] = match;
+        const bindings = parseI18nBindings(bindingValue);
+        let tag = openTag;
+        let text;
+
+        bindings.forEach(({ attribute, key }) => {
+            const value = lookup(key);
+            if (value === undefined) return;
+            if (attribute) {
+                tag = setAttribute(tag, attribute, value);
+            } else {
+                text = value;
+            }
+        });
+
+        output += html.slice(position, match.index) + tag;
+        position = tagPattern.lastIndex;
+
+        if (text !== undefined) {
+            const closeIndex = html.toLowerCase().indexOf(`</${tagName.toLowerCase()}>`, position);
+            if (closeIndex !== -1) {
+                output += escapeHtml(text);
+                position = closeIndex;
+                tagPattern.lastIndex = closeIndex;
+            }
+        }
+    }
+    output += html.slice(position);
+
+    output = output.replace(/<html\b[^>]*>/i, (tag) => setAttribute(setAttribute(tag, 'lang', locale.code), 'dir', locale.dir || 'ltr'));
+    if (options.path && locales.locales.length > 1) {
+        output = output.replace(/([ \t]*)<\/head>/i, (match, indent) => `${renderAlternateLinks(locales, options.path)}${indent}</head>`);
+    }
+    return output;
+}
+
+module.exports = {
+    loadLocales,
+    negotiateLocale,
+    splitLocalePath,
+    localizeHtml
+};
@@ -0,0 +1,152 @@
+/**
+ * FlowSync Landing Page - HTML Includes
+ * Expands <!-- @include --> directives so pages can share the head, header
+ * and footer. The dev server applies them per request, the build statically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { escapeHtml } = require('./http-utils');
+const { isInsideRoot } = require('./static-path');
+const { walk } = require('./fs-utils');
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+// Partials are only ever included: they are not served or built as pages
+const PARTIALS_DIR = 'partials';
+
+// <!-- @include partials/header.html active="careers" base="./" -->
+const INCLUDE_PATTERN = /^([ \t]*)<!--\s*@include\s+([^\s>]+)((?:\s+[\w-]+="[^"]*")*)\s*-->/gm;
+const VARIABLE_PATTERN = /([\w-]+)="([^"]*)"/g;
+
+// {{ title }} inside a partial, {{ image | /images/og-image.png }} with a
+// fallback for when the variable is unset or empty
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w-]+)\s*(?:\|\s*(.*?)\s*)?\}\}/g;
+
+// {{#titleKey}} data-i18n="{{ titleKey }}"{{/titleKey}}: kept only when the
+// variable is set and not empty. Sections do not nest.
+const SECTION_PATTERN = /\{\{#\s*([\w-]+)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g;
+
+const MAX_DEPTH = 10;
+
+// ==========================================================================
+// Rendering
+// ==========================================================================
+
+function toRootPath(root, fullPath) {
+    return path.relative(root, fullPath).split(path.sep).join('/');
+}
+
+function isPartial(relativePath) {
+    return relativePath.split('/')[0] === PARTIALS_DIR;
+}
+
+function parseVariables(source) {
+    const variables = {};
+    let match;
+    VARIABLE_PATTERN.lastIndex = 0;
+    while ((match = VARIABLE_PATTERN.exec(source)) !== null) {
+        variables[match[1]] = match[2];
+    }
+    return variables;
+}
+
+// Paths are relative to the including file; a leading "/" starts at the root
+function resolveInclude(root, fromFile, includePath) {
+    const fullPath = includePath.startsWith('/')
+        ? path.join(root, includePath)
+        : path.resolve(path.dirname(path.join(root, fromFile)), includePath);
+
+    if (!isInsideRoot(root, fullPath)) {
+        throw new Error(`${fromFile}: cannot include ${includePath} from outside ${path.basename(root)}/`);
+    }
+    return fullPath;
+}
+
+// The page's entry in the navigation gets aria-current="page"
+function markActiveNavItem(html, active) {
+    return html.replace(/<[a-z][^>]*\sdata-nav-item="([^"]*)"[^>]*>/gi, (tag, item) => {
+        if (item !== active || /\saria-current=/i.test(tag)) return tag;
+        return tag.replace(/\s*(\/?)>$/, ' aria-current="page"$1>');
+    });
+}
+
+function indent(content, prefix) {
+    return content.replace(/\n$/, '').split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+function expand(root, file, html, variables, stack, dependencies) {
+    if (stack.length > MAX_DEPTH) {
+        throw new Error(`${stack[0]}: includes are nested more than ${MAX_DEPTH} levels deep`);
+    }
+
+    return html.replace(INCLUDE_PATTERN, (directive, whitespace, includePath, attributes) => {
+        const fullPath = resolveInclude(root, file, includePath);
+        const partial = toRootPath(root, fullPath);
+
+        if (stack.includes(partial)) {
+            throw new Error(`${file}: circular include ${[...stack, partial].join(' -> ')}`);
+        }
+
+        let source;
+        try {
+            source = fs.readFileSync(fullPath, 'utf8');
+        } catch (error) {
+            throw new Error(`${file}: cannot include ${includePath} (${error.code === 'ENOENT' ? 'file not found' : error.message})`);
+        }
+        dependencies.add(partial);
+
+        // Nested partials see the variables of every include above them
+        const scope = { ...variables, ...parseVariables(attributes) };
+        let content = source
+            .replace(SECTION_PATTERN, (match, name, body) => (scope[name] ? body : ''))
+            .replace(PLACEHOLDER_PATTERN, (match, name, fallback) => escapeHtml(scope[name] || fallback || ''));
+        if (scope.active) {
+            content = markActiveNavItem(content, scope.active);
+        }
+
+        return indent(expand(root, partial, content, scope, [...stack, partial], dependencies), whitespace);
+    });
+}
+
+// Expands every include in html, the contents of file (relative to root).
+// options.variables are seen by every partial, as if set on each include.
+// Returns { html, dependencies } with the root-relative path of each
+// partial used, directly or through other partials. Throws when a partial
+// is missing, outside the root or includes itself.
+function renderIncludes(html, options) {
+    const root = path.resolve(options.root);
+    const dependencies = new Set();
+    const output = expand(root, options.file, html, options.variables || {}, [options.file], dependencies);
+    return { html: output, dependencies: Array.from(dependencies) };
+}
+
+// ==========================================================================
+// Dependency Tracking
+// ==========================================================================
+
+// Pages (relative to root) that use the partial directly or indirectly.
+// Pages are scanned on each call, so new includes are picked up without
+// any state to keep in sync.
+function findDependentPages(root, partial) {
+    return walk(root)
+        .map(fullPath => toRootPath(root, fullPath))
+        .filter(file => file.endsWith('.html') && !isPartial(file))
+        .filter(file => {
+            try {
+                const html = fs.readFileSync(path.join(root, file), 'utf8');
+                return renderIncludes(html, { root, file }).dependencies.includes(partial);
+            } catch (error) {
+                return false;
+            }
+        });
+}
+
+module.exports = {
+    renderIncludes,
+    findDependentPages,
+    isPartial,
+    PARTIALS_DIR
+};
@@ -0,0 +1,313 @@
+/**
+ * FlowSync Landing Page - Link Checker
+ * Finds missing local assets, broken links, anchors without a matching id
+ * and links that go nowhere (href="#") in served HTML. Used by check.js to
+ * crawl the site and by the dev server to check pages as they are served.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+// Sent with every request the checker makes, so the dev server neither logs
+// them nor checks the pages it serves to the checker
+const CHECK_HEADER = 'x-flowsync-check';
+
+// Stops a crawl that keeps finding new URLs, e.g. through generated links
+const MAX_PAGES = 500;
+const MAX_REDIRECTS = 5;
+
+// Attributes that load something the page needs to render
+const assetAttributes = {
+    script: ['src'],
+    img: ['src', 'srcset'],
+    source: ['src', 'srcset'],
+    video: ['src', 'poster'],
+    audio: ['src'],
+    iframe: ['src'],
+    embed: ['src'],
+    object: ['data']
+};
+
+// <link rel> values that are hints rather than references
+const ignoredLinkRels = ['preconnect', 'dns-prefetch'];
+const pageLinkRels = ['alternate', 'canonical', 'next', 'prev'];
+
+// Share images are fetched by other sites, but must exist all the same
+const imageMetaNames = ['og:image', 'twitter:image'];
+
+// ==========================================================================
+// Parsing
+// ==========================================================================
+
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" };
+
+function decodeEntities(value) {
+    return value.replace(/&(amp|lt|gt|quot|#39);/g, (match, name) => entities[name]);
+}
+
+// Comments and script/style bodies are blanked out, keeping their newlines
+// so line numbers stay correct
+function maskNonMarkup(html) {
+    const blank = (text) => text.replace(/[^\n]/g, ' ');
+    return html
+        .replace(/<!--[\s\S]*?-->/g, blank)
+        .replace(/(<(script|style|template)\b[^>]*>)([\s\S]*?)(<\/\2>)/gi, (match, open, tag, body, close) => open + blank(body) + close);
+}
+
+function parseAttributes(source) {
+    const attributes = {};
+    const pattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+        attributes[match[1].toLowerCase()] = value === undefined ? '' : decodeEntities(value);
+    }
+    return attributes;
+}
+
+function parseTags(html) {
+    const masked = maskNonMarkup(html);
+    const tags = [];
+    const pattern = /<([a-z][\w-]*)\b([^>]*)>/gi;
+    let match;
+    let line = 1;
+    let position = 0;
+
+    while ((match = pattern.exec(masked)) !== null) {
+        for (; position < match.index; position++) {
+            if (masked[position] === '\n') line++;
+        }
+        tags.push({ name: match[1].toLowerCase(), attributes: parseAttributes(match[2]), line, source: match[0] });
+    }
+    return tags;
+}
+
+// "a.png 1x, b.png 2x" -> ['a.png', 'b.png']
+function splitSrcset(value) {
+    return value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+// Every URL the page references, as { kind: 'asset' | 'link', url, tag, line }
+function extractReferences(html) {
+    const references = [];
+    const add = (kind, url, tag) => references.push({ kind, url, tag: tag.source, name: tag.name, line: tag.line });
+
+    parseTags(html).forEach(tag => {
+        const { name, attributes } = tag;
+
+        if ((name === 'a' || name === 'area') && 'href' in attributes) {
+            add('link', attributes.href, tag);
+        } else if (name === 'link' && attributes.href) {
+            const rels = (attributes.rel || '').toLowerCase().split(/\s+/);
+            if (rels.some(rel => ignoredLinkRels.includes(rel))) return;
+            add(rels.some(rel => pageLinkRels.includes(rel)) && !attributes.type ? 'link' : 'asset', attributes.href, tag);
+        } else if (name === 'meta' && imageMetaNames.includes(attributes.property || attributes.name) && attributes.content) {
+            add('asset', attributes.content, tag);
+        } else if (assetAttributes[name]) {
+            assetAttributes[name].filter(attribute => attributes[attribute]).forEach(attribute => {
+                const urls = attribute === 'srcset' ? splitSrcset(attributes[attribute]) : [attributes[attribute]];
+                urls.forEach(url => add('asset', url, tag));
+            });
+        }
+    });
+
+    return references;
+}
+
+// Targets for #fragment links: every id, plus <a name>
+function extractIds(html) {
+    const ids = new Set();
+    parseTags(html).forEach(({ name, attributes }) => {
+        if (attributes.id) ids.add(attributes.id);
+        if (name === 'a' && attributes.name) ids.add(attributes.name);
+    });
+    return ids;
+}
+
+// ==========================================================================
+// Checking
+// ==========================================================================
+
+// Any origin works: URLs are only resolved to tell local paths from others
+const LOCAL_ORIGIN = 'http://local.invalid';
+
+// "/de/", "images/logo.svg" -> { path: '/de/images/logo.svg', fragment }
+// or null for other origins and schemes (mailto:, data:, ...)
+function resolveReference(pagePath, url) {
+    let resolved;
+    try {
+        resolved = new URL(url, LOCAL_ORIGIN + pagePath);
+    } catch (error) {
+        return null;
+    }
+    if (resolved.origin !== LOCAL_ORIGIN) return null;
+    return {
+        path: resolved.pathname + resolved.search,
+        fragment: resolved.hash ? safeDecode(resolved.hash.slice(1)) : ''
+    };
+}
+
+function safeDecode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function isHtml(response) {
+    return /text\/html/i.test(response.contentType || '');
+}
+
+// Problems on one page as { type, line, url, tag, message }. load(path)
+// resolves to { status, contentType, body } after redirects; body is only
+// needed for HTML. Results are cached in loaded (a Map of promises) so a
+// crawl requests each URL once.
+async function checkPage(page, load, loaded = new Map()) {
+    const cachedLoad = (urlPath) => {
+        if (!loaded.has(urlPath)) {
+            loaded.set(urlPath, load(urlPath).catch(error => ({ status: 0, error })));
+        }
+        return loaded.get(urlPath);
+    };
+    const ownIds = extractIds(page.html);
+
+    const problems = await Promise.all(extractReferences(page.html).map(async (reference) => {
+        const problem = (type, message) => ({ type, line: reference.line, url: reference.url, tag: reference.tag, message });
+        const url = reference.url.trim();
+
+        if (reference.kind === 'link' && reference.name === 'a' && (url === '' || url === '#')) {
+            return problem('empty-link', 'links nowhere');
+        }
+        if (/^javascript:/i.test(url)) {
+            return reference.name === 'a' ? problem('empty-link', 'links nowhere') : null;
+        }
+
+        // Same-page anchors need no request
+        if (url.startsWith('#')) {
+            const id = safeDecode(url.slice(1));
+            return ownIds.has(id) ? null : problem('missing-anchor', `no element with id "${id}"`);
+        }
+
+        const target = resolveReference(page.path, url);
+        if (!target) return null;
+
+        const response = await cachedLoad(target.path);
+        if (response.status === 0) {
+            return problem(reference.kind === 'asset' ? 'missing-asset' : 'broken-link', `request failed: ${response.error.message}`);
+        }
+        if (response.status >= 400) {
+            return problem(reference.kind === 'asset' ? 'missing-asset' : 'broken-link', `${response.status} ${http.STATUS_CODES[response.status] || ''}`.trim());
+        }
+        if (target.fragment && isHtml(response) && !extractIds(response.body).has(target.fragment)) {
+            return problem('missing-anchor', `no element with id "${target.fragment}" on ${target.path.split('?')[0]}`);
+        }
+        return null;
+    }));
+
+    return problems.filter(Boolean);
+}
+
+// Checks startPath and every local HTML page reachable from it. Resolves to
+// [{ path, problems }] in crawl order.
+async function crawl(startPath, load) {
+    const loaded = new Map();
+    const queued = new Set([startPath]);
+    const queue = [startPath];
+    const results = [];
+
+    while (queue.length > 0 && results.length < MAX_PAGES) {
+        const pagePath = queue.shift();
+        if (!loaded.has(pagePath)) {
+            loaded.set(pagePath, load(pagePath).catch(error => ({ status: 0, error })));
+        }
+        const response = await loaded.get(pagePath);
+        if (response.status !== 200 || !isHtml(response)) continue;
+
+        const page = { path: pagePath, html: response.body };
+        results.push({ path: pagePath, problems: await checkPage(page, load, loaded) });
+
+        extractReferences(page.html)
+            .filter(reference => reference.kind === 'link')
+            .map(reference => resolveReference(pagePath, reference.url))
+            .filter(target => target && !queued.has(target.path))
+            .forEach(target => {
+                queued.add(target.path);
+                queue.push(target.path);
+            });
+    }
+
+    return results;
+}
+
+// ==========================================================================
+// HTTP Loader
+// ==========================================================================
+
+// load() for checkPage()/crawl() that requests paths from a running server.
+// Redirects are followed; only HTML bodies are kept.
+function createHttpLoader(baseUrl, options = {}) {
+    const load = (urlPath, redirects = 0) => new Promise((resolve, reject) => {
+        const url = new URL(urlPath, baseUrl);
+        const client = url.protocol === 'https:' ? https : http;
+        const req = client.get(url, {
+            headers: { [CHECK_HEADER]: '1' },
+            // The dev server's own self-signed certificate
+            rejectUnauthorized: options.rejectUnauthorized !== false
+        }, (res) => {
+            const { location } = res.headers;
+            if (res.statusCode >= 300 && res.statusCode < 400 && location && redirects < MAX_REDIRECTS) {
+                res.resume();
+                const next = new URL(location, url);
+                resolve(next.origin === url.origin ? load(next.pathname + next.search, redirects + 1) : { status: 200, contentType: '' });
+                return;
+            }
+
+            const contentType = res.headers['content-type'] || '';
+            if (!/text\/html/i.test(contentType)) {
+                res.resume();
+                resolve({ status: res.statusCode, contentType });
+                return;
+            }
+
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, contentType, body: Buffer.concat(chunks).toString('utf8') }));
+            res.on('error', reject);
+        });
+        req.on('error', reject);
+    });
+
+    return (urlPath) => load(urlPath);
+}
+
+// ==========================================================================
+// Reporting
+// ==========================================================================
+
+const problemLabels = {
+    'missing-asset': 'Missing asset',
+    'broken-link': 'Broken link',
+    'missing-anchor': 'Missing anchor',
+    'empty-link': 'Empty link'
+};
+
+// "Missing asset: /images/hero.svg (404 Not Found)"
+function formatProblem(problem) {
+    const url = problem.url === '' ? '""' : problem.url;
+    return `${problemLabels[problem.type]}: ${url} (${problem.message})`;
+}
+
+module.exports = {
+    CHECK_HEADER,
+    extractReferences,
+    extractIds,
+    checkPage,
+    crawl,
+    createHttpLoader,
+    formatProblem
+};
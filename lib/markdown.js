@@ -0,0 +1,273 @@
+/**
+ * FlowSync Landing Page - Markdown Renderer
+ * Renders the Markdown used in content/ (CommonMark basics plus tables and
+ * strikethrough) to HTML. Raw HTML in the source is escaped, not passed on.
+ */
+
+const { escapeHtml } = require('./http-utils');
+
+// ==========================================================================
+// Helpers
+// ==========================================================================
+
+// "Getting Started!" -> "getting-started"
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Links may not run script: anything but http(s), mailto, fragments and
+// relative URLs is replaced
+function safeUrl(url) {
+    const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+    return !scheme || /^(https?|mailto)$/i.test(scheme[1]) ? url : '#';
+}
+
+const entities = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+// Plain text of rendered inline HTML, e.g. for heading ids and excerpts
+function stripTags(html) {
+    return html.replace(/<[^>]*>/g, '').replace(/&(?:amp|lt|gt|quot|#39);/g, entity => entities[entity]);
+}
+
+// ==========================================================================
+// Inline Elements
+// ==========================================================================
+
+const ESCAPABLE = '\\\\`*_{}\\[\\]()#+\\-.!~|<>';
+
+function renderInline(text) {
+    // Code spans, escapes and generated tags are set aside so the emphasis
+    // patterns below never see their contents
+    const slots = [];
+    const stash = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+
+    let output = text
+        .replace(/\\\n/g, () => stash('<br>\n'))
+        .replace(new RegExp(`\\\\([${ESCAPABLE}])`, 'g'), (match, char) => stash(escapeHtml(char)))
+        .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => stash(`<code>${escapeHtml(code.trim())}</code>`))
+        .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/g, (match, url) =>
+            stash(`<a href="${escapeHtml(url)}">${escapeHtml(url.replace(/^mailto:/, ''))}</a>`));
+
+    output = escapeHtml(output)
+        .replace(/!\[([^\]]*)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, alt, src, title) =>
+            stash(`<img src="${safeUrl(src)}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`))
+        .replace(/\[([^\]]+)\]\(\s*([^\s)]+)(?:\s+&quot;(.*?)&quot;)?\s*\)/g, (match, label, href, title) =>
+            `${stash(`<a href="${safeUrl(href)}"${title ? ` title="${title}"` : ''}>`)}${label}${stash('</a>')}`)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>')
+        .replace(/ {2,}\n/g, '<br>\n');
+
+    return output.replace(/\u0000(\d+)\u0000/g, (match, index) => slots[index]);
+}
+
+// ==========================================================================
+// Block Elements
+// ==========================================================================
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(\s+|$)/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+function isBlockStart(line) {
+    return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || BLOCKQUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => cell.trim());
+}
+
+function renderTable(lines) {
+    const alignments = splitTableRow(lines[1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : null;
+    });
+    const renderRow = (line, tag) => {
+        const cells = splitTableRow(line).map((cell, index) => {
+            // A class rather than a style attribute, which the CSP would block
+            const align = alignments[index] ? ` class="align-${alignments[index]}"` : '';
+            return `<${tag}${align}>${renderInline(cell)}</${tag}>`;
+        });
+        return `<tr>${cells.join('')}</tr>`;
+    };
+
+    const body = lines.slice(2).map(line => renderRow(line, 'td')).join('\n');
+    return `<table>\n<thead>\n${renderRow(lines[0], 'th')}\n</thead>\n${body ? `<tbody>\n${body}\n</tbody>\n` : ''}</table>`;
+}
+
+// Collects the items of a list starting at lines[start]. An item runs until
+// the next marker at the same indentation or a line indented less than its
+// content; continuation lines are dedented and rendered as blocks.
+function readList(lines, start, context) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let index = start;
+    let loose = false;
+
+    while (index < lines.length) {
+        const marker = LIST_ITEM.exec(lines[index]);
+        if (!marker || /\d/.test(marker[2]) !== ordered || marker[1].length > first[1].length + 1) break;
+
+        const contentIndent = marker[0].length;
+        const itemLines = [lines[index].slice(contentIndent)];
+        index++;
+
+        while (index < lines.length) {
+            const line = lines[index];
+            const indent = line.length - line.trimStart().length;
+            if (line.trim() === '') {
+                const next = lines[index + 1];
+                const continues = next !== undefined && next.trim() !== '' &&
+                    next.length - next.trimStart().length >= contentIndent;
+                if (!continues) break;
+                loose = true;
+                itemLines.push('');
+            } else if (indent >= contentIndent) {
+                itemLines.push(line.slice(contentIndent));
+            } else if (!isBlockStart(line) && itemLines[itemLines.length - 1] !== '') {
+                itemLines.push(line.trim()); // Lazy paragraph continuation
+            } else {
+                break;
+            }
+            index++;
+        }
+        items.push(itemLines);
+
+        // A blank line between items makes the list loose
+        if (lines[index] !== undefined && lines[index].trim() === '' && LIST_ITEM.test(lines[index + 1] || '')) {
+            const next = LIST_ITEM.exec(lines[index + 1]);
+            if (next[1].length <= first[1].length + 1 && /\d/.test(next[2]) === ordered) {
+                loose = true;
+                index++;
+            }
+        }
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const html = items.map(itemLines => {
+        let content = renderBlocks(itemLines, context);
+        if (!loose) {
+            content = content.replace(/^<p>([\s\S]*?)<\/p>/, '$1').replace(/<\/p>\n<(ul|ol)/, '\n<$1');
+        }
+        return `<li>${content}</li>`;
+    }).join('\n');
+
+    return {
+        html: `<${tag}${startNumber !== 1 ? ` start="${startNumber}"` : ''}>\n${html}\n</${tag}>`,
+        end: index
+    };
+}
+
+function renderBlocks(lines, context) {
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (line.trim() === '') {
+            index++;
+            continue;
+        }
+
+        const fence = FENCE.exec(line);
+        if (fence) {
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                code.push(lines[index]);
+                index++;
+            }
+            index++; // Closing fence
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            blocks.push(`<pre><code${language}>${escapeHtml(code.join('\n'))}\n</code></pre>`);
+            continue;
+        }
+
+        const heading = HEADING.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            const html = renderInline(heading[2]);
+            const id = uniqueId(context, slugify(stripTags(html)) || 'section');
+            context.headings.push({ level, id, text: stripTags(html) });
+            blocks.push(`<h${level} id="${id}">${html}</h${level}>`);
+            index++;
+            continue;
+        }
+
+        if (RULE.test(line)) {
+            blocks.push('<hr>');
+            index++;
+            continue;
+        }
+
+        if (BLOCKQUOTE.test(line)) {
+            const quoted = [];
+            while (index < lines.length && lines[index].trim() !== '') {
+                quoted.push(lines[index].replace(BLOCKQUOTE, ''));
+                index++;
+            }
+            blocks.push(`<blockquote>\n${renderBlocks(quoted, context)}\n</blockquote>`);
+            continue;
+        }
+
+        if (LIST_ITEM.test(line)) {
+            const list = readList(lines, index, context);
+            blocks.push(list.html);
+            index = list.end;
+            continue;
+        }
+
+        if (line.includes('|') && TABLE_DIVIDER.test(lines[index + 1] || '') && lines[index + 1].includes('-')) {
+            const rows = [];
+            while (index < lines.length && lines[index].includes('|') && lines[index].trim() !== '') {
+                rows.push(lines[index]);
+                index++;
+            }
+            blocks.push(renderTable(rows));
+            continue;
+        }
+
+        const paragraph = [];
+        while (index < lines.length && lines[index].trim() !== '' && (paragraph.length === 0 || !isBlockStart(lines[index]))) {
+            paragraph.push(paragraph.length === 0 ? lines[index].trimStart() : lines[index]);
+            index++;
+        }
+        blocks.push(`<p>${renderInline(paragraph.join('\n').trimEnd())}</p>`);
+    }
+
+    return blocks.join('\n');
+}
+
+function uniqueId(context, base) {
+    const count = context.ids.get(base) || 0;
+    context.ids.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count + 1}`;
+}
+
+// ==========================================================================
+// Public API
+// ==========================================================================
+
+// Returns { html, headings } where headings lists { level, id, text } for
+// every heading in order; each heading gets that id for in-page links
+function renderMarkdown(source) {
+    const context = { headings: [], ids: new Map() };
+    const lines = source.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return { html: renderBlocks(lines, context), headings: context.headings };
+}
+
+module.exports = { renderMarkdown, slugify, stripTags };
@@ -0,0 +1,228 @@
+/**
+ * FlowSync Landing Page - API Mocks
+ * Answers requests from files in mocks/ so error states, slow responses and
+ * flaky networks can be reproduced locally
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError, readCookie, sendJson } = require('./http-utils');
+const { walk } = require('./fs-utils');
+const { parseBody } = require('./body-parser');
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+// mocks/api/contact.POST.json answers POST /api/contact. "index" stands for
+// the directory itself, [name] segments match any value and ANY any method.
+const MOCK_FILE_PATTERN = /^(.+)\.(GET|HEAD|POST|PUT|PATCH|DELETE|OPTIONS|ANY)\.(json|js)$/i;
+
+const SCENARIO_HEADER = 'x-mock-scenario';
+const SCENARIO_QUERY_PARAM = 'mock';
+const SCENARIO_COOKIE = 'flowsync_mock';
+
+// Forces the mock's own response, without random failures
+const DEFAULT_SCENARIO = 'default';
+
+// Used by failureRate and "error" unless the mock defines its own
+const builtInScenarios = {
+    error: {
+        status: 500,
+        body: new HttpError(500, 'mock_failure', 'Simulated server error').toJSON()
+    }
+};
+
+// ==========================================================================
+// Route Table
+// ==========================================================================
+
+function loadRoutes(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return walk(dir).map(filePath => {
+        const relativePath = path.relative(dir, filePath).split(path.sep).join('/');
+        const match = MOCK_FILE_PATTERN.exec(relativePath);
+        if (!match) return null;
+
+        const segments = match[1].split('/');
+        if (segments[segments.length - 1] === 'index') {
+            segments.pop();
+        }
+
+        return {
+            filePath,
+            file: relativePath,
+            method: match[2].toUpperCase(),
+            segments,
+            // Static segments and exact methods win over [params] and ANY
+            specificity: segments.filter(segment => !/^\[.+\]$/.test(segment)).length * 2 + (match[2].toUpperCase() === 'ANY' ? 0 : 1)
+        };
+    }).filter(Boolean).sort((a, b) => b.specificity - a.specificity);
+}
+
+function matchRoute(routes, method, urlPath) {
+    const parts = urlPath.split('/').filter(Boolean).map(part => {
+        try {
+            return decodeURIComponent(part);
+        } catch (error) {
+            return part;
+        }
+    });
+
+    for (const route of routes) {
+        if (route.method !== method && route.method !== 'ANY') continue;
+        if (route.segments.length !== parts.length) continue;
+
+        const params = {};
+        const matches = route.segments.every((segment, index) => {
+            const param = /^\[(.+)\]$/.exec(segment);
+            if (param) {
+                params[param[1]] = parts[index];
+                return true;
+            }
+            return segment === parts[index];
+        });
+
+        if (matches) {
+            return { route, params };
+        }
+    }
+
+    return null;
+}
+
+// JSON is read fresh each time and JS modules are re-required, so edits
+// apply without restarting the server
+function loadMock(route) {
+    try {
+        if (route.filePath.endsWith('.js')) {
+            delete require.cache[require.resolve(route.filePath)];
+            return require(route.filePath);
+        }
+        return JSON.parse(fs.readFileSync(route.filePath, 'utf8'));
+    } catch (error) {
+        throw new HttpError(500, 'invalid_mock', `Could not load mocks/${route.file}: ${error.message}`);
+    }
+}
+
+// ==========================================================================
+// Scenarios
+// ==========================================================================
+
+// The header and query parameter target a single request, so an unknown
+// name is an error. The cookie applies to every mocked route, so routes
+// without that scenario ignore it.
+function selectScenario(req, query, mock, scenarios) {
+    const explicit = req.headers[SCENARIO_HEADER] || query.get(SCENARIO_QUERY_PARAM);
+    const requested = explicit || readCookie(req, SCENARIO_COOKIE);
+
+    if (requested === DEFAULT_SCENARIO) {
+        return null;
+    }
+    if (requested && scenarios[requested]) {
+        return requested;
+    }
+    if (explicit) {
+        throw new HttpError(400, 'unknown_scenario', `Unknown mock scenario "${explicit}"`, {
+            scenarios: [DEFAULT_SCENARIO, ...Object.keys(scenarios)]
+        });
+    }
+
+    if (mock.failureRate > 0 && Math.random() < mock.failureRate) {
+        return mock.failureScenario || 'error';
+    }
+    return null;
+}
+
+// A number of milliseconds or a [min, max] range
+function resolveDelay(delay) {
+    if (Array.isArray(delay)) {
+        const [min, max] = delay;
+        return min + Math.random() * (max - min);
+    }
+    return Number(delay) || 0;
+}
+
+// ==========================================================================
+// Request Handler
+// ==========================================================================
+
+async function sendMockResponse(res, response, request) {
+    const status = response.status || 200;
+    const headers = response.headers || {};
+    const body = typeof response.body === 'function' ? await response.body(request) : response.body;
+
+    if (body === undefined || status === 204 || status === 304) {
+        res.writeHead(status, headers);
+        res.end();
+    } else if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        res.writeHead(status, {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Content-Length': Buffer.byteLength(body),
+            'Cache-Control': 'no-store',
+            ...headers
+        });
+        res.end(body);
+    } else {
+        sendJson(res, status, body, headers);
+    }
+}
+
+// Returns { handleMockRequest, reloadRoutes }. The route table is read once
+// and again after reloadRoutes(), which the dev server calls when files in
+// mocks/ are added or removed; edits to a mock apply without it.
+function createMockHandler(options) {
+    const dir = options.dir;
+    let routes = null;
+
+    // Resolves to true when a mock answered, false when the request should
+    // continue to the regular routes (no mock, or a passthrough mock)
+    async function handleMockRequest(req, res, urlPath) {
+        if (!routes) {
+            routes = loadRoutes(dir);
+        }
+        const matched = matchRoute(routes, req.method, urlPath);
+        if (!matched) return false;
+
+        const { route, params } = matched;
+        const mock = loadMock(route);
+        const scenarios = { ...builtInScenarios, ...mock.scenarios };
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const scenario = selectScenario(req, query, mock, scenarios);
+
+        // A scenario overrides the mock's status, headers, body and delay.
+        // It answers even for a passthrough mock unless it passes through too.
+        const response = scenario ? { ...mock, passthrough: false, ...scenarios[scenario] } : mock;
+        const delay = resolveDelay(response.delay);
+        const target = response.passthrough ? 'passthrough' : `mocks/${route.file}`;
+        console.log(`[Mock] ${req.method} ${urlPath} -> ${target}${scenario ? ` [${scenario}]` : ''} (${Math.round(delay)}ms)`);
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+
+        if (response.passthrough) {
+            return false;
+        }
+
+        res.setHeader('X-Mock', scenario ? `${route.file}; scenario=${scenario}` : route.file);
+        await sendMockResponse(res, response, {
+            method: req.method,
+            path: urlPath,
+            params,
+            query,
+            headers: req.headers,
+            scenario,
+            readBody: () => parseBody(req)
+        });
+        return true;
+    }
+
+    return {
+        handleMockRequest,
+        reloadRoutes: () => {
+            routes = null;
+        }
+    };
+}
+
+module.exports = { createMockHandler, SCENARIO_HEADER, SCENARIO_COOKIE };
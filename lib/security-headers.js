@@ -0,0 +1,127 @@
+/**
+ * FlowSync Landing Page - Security Headers
+ * Default security header set shared by the dev server and vercel.json
+ */
+
+const crypto = require('crypto');
+
+// ==========================================================================
+// Defaults
+// ==========================================================================
+
+const defaultCspDirectives = {
+    'default-src': ["'self'"],
+    'script-src': ["'self'"],
+    'style-src': ["'self'", 'https://fonts.googleapis.com'],
+    'img-src': ["'self'", 'data:'],
+    'font-src': ["'self'", 'https://fonts.gstatic.com'],
+    'connect-src': ["'self'"],
+    'object-src': ["'none'"],
+    'base-uri': ["'self'"],
+    'form-action': ["'self'"],
+    'frame-ancestors': ["'none'"]
+};
+
+// Set a header to null in config.securityHeaders to disable it
+const defaultSecurityHeaders = {
+    'X-Content-Type-Options': 'nosniff',
+    'Referrer-Policy': 'strict-origin-when-cross-origin',
+    'Permissions-Policy': 'camera=(), microphone=(), geolocation=(), payment=()'
+};
+
+// ==========================================================================
+// Content Security Policy
+// ==========================================================================
+
+function createNonce() {
+    return crypto.randomBytes(16).toString('base64');
+}
+
+function parseContentSecurityPolicy(policy) {
+    const directives = {};
+    policy.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+        const [name, ...sources] = part.split(/\s+/);
+        directives[name.toLowerCase()] = sources;
+    });
+    return directives;
+}
+
+// In development the policy additionally allows the injected live reload
+// script and styles (via nonce) and WebSocket connections
+function buildContentSecurityPolicy(directives, options = {}) {
+    const merged = {};
+    Object.keys(directives).forEach(name => {
+        merged[name] = directives[name].slice();
+    });
+
+    if (options.nonce) {
+        ['script-src', 'style-src'].forEach(name => {
+            merged[name] = (merged[name] || []).concat(`'nonce-${options.nonce}'`);
+        });
+    }
+
+    if (options.development) {
+        merged['connect-src'] = (merged['connect-src'] || []).concat('ws:', 'wss:');
+    }
+
+    return Object.keys(merged)
+        .map(name => `${name} ${merged[name].join(' ')}`)
+        .join('; ');
+}
+
+// ==========================================================================
+// Inline Scripts
+// ==========================================================================
+
+const INLINE_SCRIPT_PATTERN = /<script\b(?![^>]*\ssrc=)([^>]*)>([\s\S]*?)<\/script>/gi;
+
+// CSP source expressions ('sha256-...') for every inline <script> in a page.
+// Static hosting cannot add nonces, so these go into vercel.json.
+function getInlineScriptHashes(html) {
+    const hashes = [];
+    let match;
+    INLINE_SCRIPT_PATTERN.lastIndex = 0;
+    while ((match = INLINE_SCRIPT_PATTERN.exec(html)) !== null) {
+        if (/\stype=["']?application\/(?:ld\+)?json/i.test(match[1])) continue;
+        hashes.push(`'sha256-${crypto.createHash('sha256').update(match[2], 'utf8').digest('base64')}'`);
+    }
+    return hashes;
+}
+
+// Adds the request's nonce to inline scripts that do not have one
+function addNonceToInlineScripts(html, nonce) {
+    return html.replace(/<script\b(?![^>]*\s(?:src|nonce)=)([^>]*)>/gi, `<script nonce="${nonce}"$1>`);
+}
+
+// ==========================================================================
+// Header Application
+// ==========================================================================
+
+// Returns the header set for a response; null values are omitted
+function getSecurityHeaders(settings = {}, options = {}) {
+    const headers = Object.assign({}, defaultSecurityHeaders, settings.headers);
+
+    if (settings.contentSecurityPolicy !== false) {
+        const directives = Object.assign({}, defaultCspDirectives, settings.contentSecurityPolicy);
+        headers['Content-Security-Policy'] = buildContentSecurityPolicy(directives, options);
+    }
+
+    Object.keys(headers).forEach(name => {
+        if (headers[name] === null || headers[name] === undefined) {
+            delete headers[name];
+        }
+    });
+
+    return headers;
+}
+
+module.exports = {
+    createNonce,
+    getInlineScriptHashes,
+    addNonceToInlineScripts,
+    getSecurityHeaders,
+    buildContentSecurityPolicy,
+    parseContentSecurityPolicy,
+    defaultCspDirectives,
+    defaultSecurityHeaders
+};
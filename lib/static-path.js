@@ -0,0 +1,59 @@
+/**
+ * FlowSync Landing Page - Static Path Resolver
+ * Maps request URLs to files inside the static root, rejecting anything
+ * that could escape it or expose files that should not be served
+ */
+
+const path = require('path');
+const { HttpError } = require('./http-utils');
+
+// Dot-prefixed segments that may still be served
+const ALLOWED_DOT_SEGMENTS = ['.well-known'];
+
+function isInsideRoot(root, filePath) {
+    const relative = path.relative(root, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Resolves the path part of a request URL (no query string) against root.
+// Returns { fullPath, relativePath } where relativePath uses "/" separators.
+// Throws HttpError: 400 for malformed input, 403 for traversal attempts and
+// 404 for dotfiles (so their existence is not revealed).
+function resolveStaticPath(root, urlPath) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(urlPath);
+    } catch (error) {
+        throw new HttpError(400, 'bad_request', 'Malformed URL encoding');
+    }
+
+    if (decoded.includes('\0')) {
+        throw new HttpError(400, 'bad_request', 'Null bytes are not allowed in paths');
+    }
+
+    // Backslashes are separators on Windows, so treat them as such everywhere
+    const segments = decoded.replace(/\\/g, '/').split('/');
+
+    if (segments.some(segment => segment === '..')) {
+        throw new HttpError(403, 'forbidden', 'Path traversal is not allowed');
+    }
+
+    if (segments.some(segment => segment.startsWith('.') && segment !== '.' && !ALLOWED_DOT_SEGMENTS.includes(segment))) {
+        throw new HttpError(404, 'not_found', 'File not found');
+    }
+
+    // Default to index.html for root and directory requests
+    let relativePath = segments.filter(segment => segment !== '' && segment !== '.').join('/');
+    if (relativePath === '' || decoded.endsWith('/')) {
+        relativePath = relativePath ? `${relativePath}/index.html` : 'index.html';
+    }
+
+    const fullPath = path.resolve(root, relativePath);
+    if (!isInsideRoot(root, fullPath)) {
+        throw new HttpError(403, 'forbidden', 'Path resolves outside the static root');
+    }
+
+    return { fullPath, relativePath };
+}
+
+module.exports = { resolveStaticPath, isInsideRoot };
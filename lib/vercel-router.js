@@ -0,0 +1,339 @@
+/**
+ * FlowSync Landing Page - vercel.json Router
+ * Applies the routing parts of vercel.json (routes, redirects, rewrites,
+ * headers, cleanUrls, trailingSlash) so the dev server behaves like
+ * production
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ==========================================================================
+// Configuration Keys
+// ==========================================================================
+
+const ROUTING_KEYS = ['routes', 'redirects', 'rewrites', 'headers', 'cleanUrls', 'trailingSlash'];
+
+// Keys that only matter for deployment and can be ignored locally
+const DEPLOYMENT_KEYS = [
+    '$schema', 'version', 'public', 'name', 'buildCommand', 'outputDirectory',
+    'installCommand', 'devCommand', 'framework', 'github', 'git', 'scope'
+];
+
+const ROUTE_KEYS = ['src', 'dest', 'headers', 'status', 'continue', 'methods', 'handle', 'check'];
+const RULE_KEYS = ['source', 'destination', 'permanent', 'statusCode', 'headers', 'has', 'missing'];
+
+// ==========================================================================
+// Pattern Compilation
+// ==========================================================================
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compiles the path-to-regexp syntax used by redirects/rewrites/headers:
+// "/blog/:slug", "/docs/:path*", "/:file(.*\\.html)" and "/(.*)".
+// Returns { regex, keys } where keys lists the capture names in order;
+// unnamed groups are numbered from 1 so "$1" works in destinations.
+function compileSourcePattern(source) {
+    const keys = [];
+    let pattern = '';
+    let unnamedIndex = 0;
+    let index = 0;
+
+    while (index < source.length) {
+        const char = source[index];
+
+        if (char === ':' && /[A-Za-z_]/.test(source[index + 1] || '')) {
+            const nameMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index + 1));
+            const name = nameMatch[0];
+            index += 1 + name.length;
+
+            let group = '[^/]+';
+            if (source[index] === '(') {
+                const end = findGroupEnd(source, index);
+                group = source.slice(index + 1, end);
+                index = end + 1;
+            }
+
+            const modifier = /[*+?]/.test(source[index] || '') ? source[index++] : '';
+            keys.push(name);
+
+            if (modifier === '*' || modifier === '?') {
+                // Optional segments swallow their leading slash: /docs/:path* matches /docs
+                const groupPattern = modifier === '*' ? '.*' : group;
+                if (pattern.endsWith('/')) {
+                    pattern = `${pattern.slice(0, -1)}(?:\\/(${groupPattern}))?`;
+                } else {
+                    pattern += `(${groupPattern})?`;
+                }
+            } else if (modifier === '+') {
+                pattern += '(.+)';
+            } else {
+                pattern += `(${group})`;
+            }
+            continue;
+        }
+
+        if (char === '(') {
+            const end = findGroupEnd(source, index);
+            keys.push(String(++unnamedIndex));
+            pattern += `(${source.slice(index + 1, end)})`;
+            index = end + 1;
+            continue;
+        }
+
+        pattern += escapeRegExp(char);
+        index++;
+    }
+
+    return { regex: new RegExp(`^${pattern}\\/?$`, 'i'), keys };
+}
+
+function findGroupEnd(source, start) {
+    let depth = 0;
+    for (let i = start; i < source.length; i++) {
+        if (source[i] === '\\') {
+            i++;
+        } else if (source[i] === '(') {
+            depth++;
+        } else if (source[i] === ')' && --depth === 0) {
+            return i;
+        }
+    }
+    throw new Error(`Unbalanced parentheses in "${source}"`);
+}
+
+function matchSource(compiled, pathname) {
+    const match = compiled.regex.exec(pathname);
+    if (!match) return null;
+
+    const params = {};
+    compiled.keys.forEach((key, i) => {
+        params[key] = match[i + 1] === undefined ? '' : match[i + 1];
+    });
+    return params;
+}
+
+// Replaces ":name" and "$1" references with captured values
+function applyParams(template, params) {
+    return template
+        .replace(/:([A-Za-z_][A-Za-z0-9_]*)\*?/g, (token, name) => (name in params ? params[name] : token))
+        .replace(/\$(\d+)/g, (token, number) => (number in params ? params[number] : ''));
+}
+
+// ==========================================================================
+// Config Loading & Validation
+// ==========================================================================
+
+function compileRules(rules, kind, warnings) {
+    return (rules || []).flatMap((rule, index) => {
+        const label = `${kind}[${index}]`;
+
+        Object.keys(rule)
+            .filter(key => !RULE_KEYS.includes(key))
+            .forEach(key => warnings.push(`${label}: "${key}" is not supported by the dev server and will be ignored`));
+
+        if (rule.has || rule.missing) {
+            warnings.push(`${label}: "has"/"missing" conditions are ignored; the rule always applies`);
+        }
+
+        try {
+            return [Object.assign({}, rule, { compiled: compileSourcePattern(rule.source) })];
+        } catch (error) {
+            warnings.push(`${label}: ${error.message}; rule skipped`);
+            return [];
+        }
+    });
+}
+
+function compileRoutes(routes, warnings) {
+    return (routes || []).flatMap((route, index) => {
+        const label = `routes[${index}]`;
+
+        Object.keys(route)
+            .filter(key => !ROUTE_KEYS.includes(key))
+            .forEach(key => warnings.push(`${label}: "${key}" is not supported by the dev server and will be ignored`));
+
+        if (route.handle) {
+            if (route.handle !== 'filesystem') {
+                warnings.push(`${label}: handle "${route.handle}" is not supported; only "filesystem" is`);
+                return [];
+            }
+            return [{ handle: 'filesystem' }];
+        }
+
+        try {
+            return [Object.assign({}, route, { regex: new RegExp(`^${route.src}$`, 'i') })];
+        } catch (error) {
+            warnings.push(`${label}: invalid src pattern (${error.message}); route skipped`);
+            return [];
+        }
+    });
+}
+
+// Reads and validates vercel.json. Missing files produce an empty config;
+// parse errors are reported as warnings so the server keeps running.
+function loadVercelConfig(filePath) {
+    const warnings = [];
+    let raw;
+
+    try {
+        raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            warnings.push(`Could not read ${path.basename(filePath)}: ${error.message}`);
+        }
+        raw = {};
+    }
+
+    Object.keys(raw)
+        .filter(key => !ROUTING_KEYS.includes(key) && !DEPLOYMENT_KEYS.includes(key))
+        .forEach(key => warnings.push(`"${key}" is not supported by the dev server and will be ignored`));
+
+    if (raw.routes && ROUTING_KEYS.some(key => key !== 'routes' && raw[key] !== undefined)) {
+        warnings.push('"routes" cannot be combined with redirects, rewrites, headers, cleanUrls or trailingSlash on Vercel; deploys will fail');
+    }
+
+    return {
+        raw,
+        warnings,
+        routes: compileRoutes(raw.routes, warnings),
+        redirects: compileRules(raw.redirects, 'redirects', warnings),
+        rewrites: compileRules(raw.rewrites, 'rewrites', warnings),
+        headers: compileRules(raw.headers, 'headers', warnings),
+        cleanUrls: Boolean(raw.cleanUrls),
+        trailingSlash: raw.trailingSlash
+    };
+}
+
+// ==========================================================================
+// Request Routing
+// ==========================================================================
+
+function withQuery(location, search) {
+    if (!search || location.includes('?')) return location;
+    return `${location}${search}`;
+}
+
+function collectHeaders(rules, pathname) {
+    const headers = {};
+    rules.forEach(rule => {
+        if (matchSource(rule.compiled, pathname)) {
+            (rule.headers || []).forEach(({ key, value }) => { headers[key] = value; });
+        }
+    });
+    return headers;
+}
+
+// Legacy "routes" are evaluated in order like Vercel's v2 router
+function resolveRoutes(vercelConfig, method, pathname, search, fileExists) {
+    const headers = {};
+    let currentPath = pathname;
+
+    for (const route of vercelConfig.routes) {
+        if (route.handle === 'filesystem') {
+            if (fileExists(currentPath)) {
+                return { type: 'file', path: currentPath, headers };
+            }
+            continue;
+        }
+
+        if (route.methods && !route.methods.map(m => m.toUpperCase()).includes(method)) continue;
+
+        const match = route.regex.exec(currentPath);
+        if (!match) continue;
+
+        const params = {};
+        match.slice(1).forEach((value, i) => { params[i + 1] = value === undefined ? '' : value; });
+        Object.keys(route.headers || {}).forEach(key => {
+            headers[key] = applyParams(route.headers[key], params);
+        });
+
+        if (route.status && route.status >= 300 && route.status < 400) {
+            const location = headers.Location || headers.location || (route.dest && applyParams(route.dest, params));
+            return { type: 'redirect', status: route.status, location: withQuery(location, search), headers };
+        }
+
+        if (route.dest) {
+            currentPath = applyParams(route.dest, params).split('?')[0];
+        }
+
+        if (route.status) {
+            return { type: 'file', path: currentPath, status: route.status, headers };
+        }
+
+        if (!route.continue) break;
+    }
+
+    return { type: 'file', path: currentPath, headers };
+}
+
+function resolveRules(vercelConfig, pathname, search, fileExists) {
+    const headers = collectHeaders(vercelConfig.headers, pathname);
+
+    for (const rule of vercelConfig.redirects) {
+        const params = matchSource(rule.compiled, pathname);
+        if (params) {
+            const status = rule.statusCode || (rule.permanent === false ? 307 : 308);
+            return { type: 'redirect', status, location: withQuery(applyParams(rule.destination, params), search), headers };
+        }
+    }
+
+    // cleanUrls: /about.html and /about/index.html redirect to /about
+    if (vercelConfig.cleanUrls && /\.html$/i.test(pathname)) {
+        const clean = pathname.replace(/(?:\/index)?\.html$/i, '') || '/';
+        return { type: 'redirect', status: 308, location: withQuery(clean, search), headers };
+    }
+
+    const lastSegment = pathname.split('/').pop();
+    if (vercelConfig.trailingSlash === true && pathname !== '/' && !pathname.endsWith('/') && !lastSegment.includes('.')) {
+        return { type: 'redirect', status: 308, location: withQuery(`${pathname}/`, search), headers };
+    }
+    if (vercelConfig.trailingSlash === false && pathname !== '/' && pathname.endsWith('/')) {
+        return { type: 'redirect', status: 308, location: withQuery(pathname.replace(/\/+$/, ''), search), headers };
+    }
+
+    // The filesystem wins over rewrites
+    const candidates = [pathname];
+    if (vercelConfig.cleanUrls && !lastSegment.includes('.') && pathname !== '/') {
+        candidates.unshift(`${pathname.replace(/\/$/, '')}.html`);
+    }
+
+    const existing = candidates.find(candidate => fileExists(candidate));
+    if (existing) {
+        return { type: 'file', path: existing, headers };
+    }
+
+    for (const rule of vercelConfig.rewrites) {
+        const params = matchSource(rule.compiled, pathname);
+        if (params) {
+            const destination = applyParams(rule.destination, params);
+            if (/^https?:\/\//i.test(destination)) {
+                return { type: 'external', location: destination, headers };
+            }
+            return { type: 'file', path: destination.split('?')[0], headers };
+        }
+    }
+
+    return { type: 'file', path: pathname, headers };
+}
+
+// Returns one of:
+//   { type: 'redirect', status, location, headers }
+//   { type: 'file', path, status?, headers }   (path is the URL path to serve)
+//   { type: 'external', location, headers }    (rewrite to another origin)
+function routeRequest(vercelConfig, { method, pathname, search }, fileExists) {
+    if (vercelConfig.routes && vercelConfig.routes.length > 0) {
+        return resolveRoutes(vercelConfig, method, pathname, search, fileExists);
+    }
+    return resolveRules(vercelConfig, pathname, search, fileExists);
+}
+
+module.exports = {
+    loadVercelConfig,
+    routeRequest,
+    compileSourcePattern,
+    matchSource,
+    applyParams
+};
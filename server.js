@@ -2,39 +2,105 @@
  * FlowSync Landing Page - Development Server
  * Simple Node.js static file server with live reload capability
  * Cross-platform compatible (Windows, macOS, Linux)
+ *
+ * Run it from the command line (node server.js --help) or embed it with
+ * createDevServer(), which resolves to a handle that can be closed.
  */
 
 const http = require('http');
+const https = require('https');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { EventEmitter } = require('events');
 const { exec } = require('child_process');
 const chokidar = require('chokidar');
 const mimeTypes = require('mime-types');
+const { createFormHandler } = require('./lib/forms');
+const { createAnalyticsHandler } = require('./lib/analytics');
+const { createExperimentsHandler } = require('./lib/experiments');
+const { HttpError, escapeHtml, readCookie, sendError } = require('./lib/http-utils');
+const { resolveStaticPath, isInsideRoot } = require('./lib/static-path');
+const {
+    createNonce,
+    addNonceToInlineScripts,
+    getSecurityHeaders,
+    buildContentSecurityPolicy,
+    parseContentSecurityPolicy
+} = require('./lib/security-headers');
+const { loadVercelConfig, routeRequest } = require('./lib/vercel-router');
+const { loadLocales, negotiateLocale, splitLocalePath, localizeHtml } = require('./lib/i18n');
+const { loadCertificate } = require('./lib/certificates');
+const { createMockHandler } = require('./lib/mocks');
+const { readBody } = require('./lib/body-parser');
+const { renderIncludes, findDependentPages, isPartial } = require('./lib/includes');
+const { createContentSite, collections } = require('./lib/content');
+const { CHECK_HEADER, checkPage, createHttpLoader, formatProblem } = require('./lib/link-checker');
+const {
+    createETag,
+    isFresh,
+    getCacheControl,
+    parseRange,
+    negotiateEncoding,
+    createEncoder
+} = require('./lib/http-cache');
 
 // ==========================================================================
 // Configuration
 // ==========================================================================
 
+// Defaults for createDevServer(). The command line layers flowsync.config.js,
+// environment variables (PORT, HOST, NODE_ENV) and flags on top, in that order.
 const config = {
-    port: process.env.PORT || 3000,
-    host: process.env.HOST || 'localhost',
-    staticDir: path.join(__dirname, 'src'),
+    port: 3000,
+    host: 'localhost',
+    // Production mode serves the build output with HTTP caching and
+    // compression instead of src/ with live reload
+    production: false,
+    // Directory to serve; src/ in development, dist/ in production
+    root: null,
+    open: true,
+    liveReload: true,
+    // HTTPS with cert/key (PEM file paths) when given, else a self-signed
+    // certificate cached in dataDir/certs
+    https: false,
+    cert: null,
+    key: null,
+    // Mock responses for development, see lib/mocks.js
+    mocks: true,
+    mocksDir: path.join(__dirname, 'mocks'),
+    // Check each page as it is served for missing assets, broken links and
+    // anchors, like "npm run check" (development only)
+    checkLinks: false,
+    // Markdown for the blog and docs, see lib/content.js
+    contentDir: path.join(__dirname, 'content'),
+    dataDir: path.join(__dirname, '.flowsync'),
+    vercelConfigPath: path.join(__dirname, 'vercel.json'),
+    // Relative to the served directory
     watchPatterns: [
-        'src/**/*.html',
-        'src/**/*.css',
-        'src/**/*.js',
-        'src/**/*.png',
-        'src/**/*.jpg',
-        'src/**/*.jpeg',
-        'src/**/*.gif',
-        'src/**/*.svg'
+        '**/*.html',
+        '**/*.css',
+        '**/*.js',
+        '**/*.json',
+        '**/*.png',
+        '**/*.jpg',
+        '**/*.jpeg',
+        '**/*.gif',
+        '**/*.svg'
     ],
     excludePatterns: [
         'node_modules/**',
         '.git/**',
         'dist/**',
         'build/**'
-    ]
+    ],
+    // Overrides for lib/security-headers.js defaults: `headers` replaces or
+    // disables (null) individual headers, `contentSecurityPolicy` replaces CSP
+    // directives or disables the header entirely (false)
+    securityHeaders: {
+        headers: {},
+        contentSecurityPolicy: {}
+    }
 };
 
 // ==========================================================================
@@ -52,38 +118,346 @@ const customMimeTypes = {
     '.gif': 'image/gif',
     '.svg': 'image/svg+xml; charset=utf-8',
     '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
     '.woff': 'font/woff',
     '.woff2': 'font/woff2',
     '.ttf': 'font/ttf',
-    '.eot': 'application/vnd.ms-fontobject'
+    '.eot': 'application/vnd.ms-fontobject',
+    // A file name wins over its extension: feeds are the only XML served
+    'feed.xml': 'application/atom+xml; charset=utf-8'
 };
 
 // ==========================================================================
 // Live Reload Script Injection
 // ==========================================================================
 
-const liveReloadScript = `
-<script>
+// The same endpoint serves WebSocket upgrades and, when the optional "ws"
+// package is missing, a Server-Sent Events stream
+const LIVE_RELOAD_PATH = '/__livereload';
+
+const createLiveReloadScript = (transport, nonce, page) => `
+<script nonce="${nonce}">
 (function() {
     'use strict';
     
+    const endpoint = '${LIVE_RELOAD_PATH}';
+    const transport = '${transport}';
+    const page = ${JSON.stringify(page).replace(/</g, '\\u003c')};
     let reconnectAttempts = 0;
     const maxReconnectAttempts = 10;
     const reconnectInterval = 2000;
+    const useWebSocket = transport === 'websocket' && 'WebSocket' in window;
+    let socket = null;
+    
+    // ----- Error reporting -----
+    
+    // Browser errors are sent to the terminal: over the socket, or with a
+    // POST to the same endpoint when Server-Sent Events only go one way
+    const maxReports = 50;
+    let reportCount = 0;
+    const queuedReports = [];
+    
+    function report(entry) {
+        if (reportCount >= maxReports) return;
+        reportCount++;
+        
+        const payload = JSON.stringify(Object.assign({
+            type: 'client-error',
+            page: window.location.pathname + window.location.search
+        }, entry));
+        
+        if (!useWebSocket) {
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: payload,
+                keepalive: true
+            }).catch(function() {});
+        } else if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(payload);
+        } else {
+            queuedReports.push(payload);
+        }
+    }
+    
+    // "/js/main.js:42:9" for same-origin URLs, the full URL otherwise
+    function toLocation(url, line, column) {
+        if (!url) return '';
+        
+        let location = url;
+        try {
+            const parsed = new URL(url, window.location.href);
+            if (parsed.origin === window.location.origin) {
+                location = parsed.pathname + parsed.search;
+            }
+        } catch (error) {}
+        
+        return location + (line ? ':' + line + (column ? ':' + column : '') : '');
+    }
+    
+    // The first stack frame outside this inline script
+    function findCaller(stack) {
+        const pageUrl = window.location.href.split('#')[0];
+        const frames = (stack || '').split('\\n');
+        for (let i = 0; i < frames.length; i++) {
+            const match = /(https?:\\/\\/[^\\s()]+):(\\d+):(\\d+)/.exec(frames[i]);
+            if (match && match[1] !== pageUrl) {
+                return toLocation(match[1], match[2], match[3]);
+            }
+        }
+        return '';
+    }
+    
+    function formatValue(value) {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return value.stack || String(value);
+        try {
+            const json = JSON.stringify(value);
+            return json === undefined ? String(value) : json;
+        } catch (error) {
+            return String(value);
+        }
+    }
+    
+    // Capturing on window also sees load errors of images, scripts and
+    // stylesheets, which do not bubble
+    window.addEventListener('error', function(event) {
+        const target = event.target;
+        
+        if (target && target !== window && target.tagName) {
+            const tag = '<' + target.tagName.toLowerCase() + '>';
+            const location = toLocation(target.currentSrc || target.src || target.href);
+            report({ kind: 'resource', message: tag + ' ' + location, source: location });
+            showProblem('Failed to load ' + location, tag + ' on this page');
+            return;
+        }
+        
+        const location = toLocation(event.filename, event.lineno, event.colno);
+        const stack = event.error && event.error.stack;
+        report({ kind: 'error', message: event.message, source: location, stack: stack });
+        showProblem(event.message, location, stack);
+    }, true);
+    
+    window.addEventListener('unhandledrejection', function(event) {
+        const reason = event.reason;
+        const message = reason instanceof Error ? reason.name + ': ' + reason.message : formatValue(reason);
+        const stack = reason instanceof Error ? reason.stack : undefined;
+        const location = findCaller(stack);
+        report({ kind: 'unhandledrejection', message: message, source: location, stack: stack });
+        showProblem('Unhandled rejection: ' + message, location, stack);
+    });
+    
+    // console.error is forwarded to the terminal but kept out of the overlay
+    const consoleError = console.error;
+    console.error = function() {
+        consoleError.apply(console, arguments);
+        
+        const message = Array.prototype.map.call(arguments, formatValue).join(' ');
+        if (message.indexOf('[Live Reload]') === 0) return;
+        report({ kind: 'console', message: message, source: findCaller(new Error().stack) });
+    };
+    
+    // ----- Error overlay -----
+    
+    // Rendered in a shadow root so page styles cannot reach it; the style
+    // element carries the request's CSP nonce
+    const overlayStyles = [
+        ':host { all: initial; }',
+        '.panel { position: fixed; left: 16px; right: 16px; bottom: 16px; z-index: 2147483647; box-sizing: border-box; max-width: 960px; max-height: 50vh; margin: 0 auto; padding: 16px 20px; overflow: auto; border-left: 4px solid #e5484d; border-radius: 8px; background: #1c1c1f; color: #f4f4f5; font: 14px/1.5 system-ui, -apple-system, sans-serif; box-shadow: 0 12px 32px rgba(0, 0, 0, 0.4); }',
+        '.header { display: flex; align-items: center; justify-content: space-between; gap: 16px; }',
+        'h2 { margin: 0; font-size: 15px; }',
+        'button { padding: 4px 12px; border: 1px solid #52525b; border-radius: 4px; background: transparent; color: inherit; font: inherit; cursor: pointer; }',
+        'button:hover, button:focus-visible { background: #3f3f46; }',
+        'ol { margin: 12px 0 0; padding: 0; list-style: none; }',
+        'li { padding: 8px 0; border-top: 1px solid #3f3f46; }',
+        'strong { display: block; font-weight: 600; overflow-wrap: anywhere; }',
+        'code, pre { font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; color: #a1a1aa; }',
+        'pre { margin: 4px 0 0; white-space: pre-wrap; overflow-wrap: anywhere; }'
+    ].join('\\n');
+    let overlay = null;
+    
+    function createOverlay() {
+        const host = document.createElement('div');
+        host.setAttribute('data-flowsync-overlay', '');
+        const root = host.attachShadow({ mode: 'open' });
+        
+        const style = document.createElement('style');
+        style.setAttribute('nonce', '${nonce}');
+        style.textContent = overlayStyles;
+        
+        const panel = document.createElement('section');
+        panel.className = 'panel';
+        panel.setAttribute('aria-labelledby', 'title');
+        
+        const header = document.createElement('div');
+        header.className = 'header';
+        const title = document.createElement('h2');
+        title.id = 'title';
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.textContent = 'Dismiss';
+        dismiss.addEventListener('click', dismissOverlay);
+        header.append(title, dismiss);
+        
+        const list = document.createElement('ol');
+        panel.append(header, list);
+        root.append(style, panel);
+        document.body.appendChild(host);
+        
+        return { host: host, title: title, list: list };
+    }
+    
+    function showProblem(title, location, stack) {
+        if (!document.body) {
+            document.addEventListener('DOMContentLoaded', function() {
+                showProblem(title, location, stack);
+            }, { once: true });
+            return;
+        }
+        
+        if (!overlay) {
+            overlay = createOverlay();
+        }
+        
+        const item = document.createElement('li');
+        const heading = document.createElement('strong');
+        heading.textContent = title;
+        item.appendChild(heading);
+        
+        if (location) {
+            const where = document.createElement('code');
+            where.textContent = location;
+            item.appendChild(where);
+        }
+        if (stack) {
+            const trace = document.createElement('pre');
+            trace.textContent = stack;
+            item.appendChild(trace);
+        }
+        
+        overlay.list.appendChild(item);
+        const count = overlay.list.children.length;
+        overlay.title.textContent = count === 1 ? '1 problem' : count + ' problems';
+    }
+    
+    function dismissOverlay() {
+        if (!overlay) return;
+        overlay.host.remove();
+        overlay = null;
+    }
+    
+    // ----- Live reload -----
+    
+    function reloadPage() {
+        console.log('[Live Reload] Reloading page...');
+        window.location.reload();
+    }
+    
+    function toPagePath(url) {
+        return decodeURIComponent(new URL(url, window.location.href).pathname).replace(/^\\//, '');
+    }
+    
+    function cacheBust(url) {
+        const next = new URL(url, window.location.href);
+        next.searchParams.set('livereload', Date.now());
+        return next.href;
+    }
+    
+    // Swap a stylesheet by loading the new copy next to the old one, so the
+    // page is never left unstyled while the request is in flight
+    function swapStylesheet(link) {
+        const replacement = link.cloneNode();
+        replacement.href = cacheBust(link.href);
+        replacement.addEventListener('load', () => link.remove(), { once: true });
+        replacement.addEventListener('error', () => replacement.remove(), { once: true });
+        link.after(replacement);
+    }
+    
+    function hotSwap(change) {
+        // Only this page's own HTML (or a partial it includes) needs a reload
+        if (change.kind === 'html') {
+            return change.path !== page;
+        }
+        
+        if (change.kind === 'css') {
+            const links = Array.from(document.querySelectorAll('link[rel="stylesheet"][href]'))
+                .filter(link => toPagePath(link.href) === change.path);
+            links.forEach(swapStylesheet);
+            return links.length > 0;
+        }
+        
+        if (change.kind === 'image') {
+            Array.from(document.images)
+                .filter(img => img.src && toPagePath(img.src) === change.path)
+                .forEach(img => { img.src = cacheBust(img.src); });
+            return true;
+        }
+        
+        return false;
+    }
+    
+    function applyUpdate(changes) {
+        // Removed files and anything that is not a stylesheet or image need a full reload
+        const needsReload = changes.some(change => change.event === 'unlink' || !hotSwap(change));
+        
+        if (needsReload) {
+            reloadPage();
+        } else {
+            changes
+                .filter(change => change.kind !== 'html')
+                .forEach(change => console.log('[Live Reload] Hot-swapped ' + change.path));
+        }
+    }
+    
+    function handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return;
+        }
+        
+        if (message.type === 'reload') {
+            reloadPage();
+        } else if (message.type === 'update') {
+            applyUpdate(message.changes || []);
+        } else if (message.type === 'error') {
+            showProblem('Server: ' + message.message, '', message.stack);
+        }
+    }
+    
+    // Server-Sent Events fallback: EventSource reconnects on its own
+    function connectEventSource() {
+        const source = new EventSource(endpoint);
+        
+        source.onopen = function() {
+            console.log('[Live Reload] Connected to server (SSE)');
+        };
+        
+        source.onmessage = function(event) {
+            handleMessage(event.data);
+        };
+    }
     
     function connect() {
-        const ws = new WebSocket('ws://localhost:${config.port + 1}');
+        if (!useWebSocket) {
+            connectEventSource();
+            return;
+        }
+        
+        const scheme = window.location.protocol === 'https:' ? 'wss://' : 'ws://';
+        const ws = new WebSocket(scheme + window.location.host + endpoint);
+        socket = ws;
         
         ws.onopen = function() {
             console.log('[Live Reload] Connected to server');
             reconnectAttempts = 0;
+            queuedReports.splice(0).forEach(payload => ws.send(payload));
         };
         
         ws.onmessage = function(event) {
-            if (event.data === 'reload') {
-                console.log('[Live Reload] Reloading page...');
-                window.location.reload();
-            }
+            handleMessage(event.data);
         };
         
         ws.onclose = function() {
@@ -115,44 +489,193 @@ const liveReloadScript = `
 </script>
 `;
 
+// The script goes first in <head> so its error handlers are in place before
+// any other script runs or asset loads
+function injectLiveReloadScript(html, script) {
+    const head = /<head\b[^>]*>/i.exec(html);
+    if (head) {
+        const end = head.index + head[0].length;
+        return `${html.slice(0, end)}${script}${html.slice(end)}`;
+    }
+    return html.includes('</body>') ? html.replace('</body>', `${script}</body>`) : `${script}${html}`;
+}
+
 // ==========================================================================
-// WebSocket Server for Live Reload
+// Live Reload Server
 // ==========================================================================
 
-let wsServer;
-let wsConnections = [];
+// Each server keeps its connected clients in app.liveReload:
+// { transport: 'websocket' | 'sse', clients: [], wsServer }
 
-function createWebSocketServer() {
+function addLiveReloadClient(app, client) {
+    app.liveReload.clients.push(client);
+    console.log(`[Live Reload] Client connected (${app.liveReload.clients.length} total)`);
+}
+
+function removeLiveReloadClient(app, client) {
+    app.liveReload.clients = app.liveReload.clients.filter(conn => conn !== client);
+    console.log(`[Live Reload] Client disconnected (${app.liveReload.clients.length} remaining)`);
+}
+
+// Attaches live reload to the HTTP server: WebSocket upgrades when "ws" is
+// installed, otherwise Server-Sent Events on the same path
+function createLiveReloadServer(app, server) {
+    app.liveReload = { transport: null, clients: [], wsServer: null };
+    
     try {
         const WebSocket = require('ws');
-        wsServer = new WebSocket.Server({ port: config.port + 1 });
+        const wsServer = new WebSocket.Server({ noServer: true });
         
-        wsServer.on('connection', (ws) => {
-            wsConnections.push(ws);
-            console.log(`[Live Reload] Client connected (${wsConnections.length} total)`);
+        server.on('upgrade', (req, socket, head) => {
+            if (req.url.split('?')[0] !== LIVE_RELOAD_PATH) {
+                socket.destroy();
+                return;
+            }
             
-            ws.on('close', () => {
-                wsConnections = wsConnections.filter(conn => conn !== ws);
-                console.log(`[Live Reload] Client disconnected (${wsConnections.length} remaining)`);
+            wsServer.handleUpgrade(req, socket, head, (ws) => {
+                const client = {
+                    send: (payload) => {
+                        if (ws.readyState === WebSocket.OPEN) {
+                            ws.send(payload);
+                        }
+                    },
+                    close: () => ws.close()
+                };
+                
+                addLiveReloadClient(app, client);
+                ws.on('message', (data) => handleClientReport(app, data.toString()));
+                ws.on('close', () => removeLiveReloadClient(app, client));
             });
         });
         
-        console.log(`[Live Reload] WebSocket server started on port ${config.port + 1}`);
+        app.liveReload.wsServer = wsServer;
+        app.liveReload.transport = 'websocket';
+        console.log(`[Live Reload] WebSocket endpoint ready at ${LIVE_RELOAD_PATH}`);
         
     } catch (error) {
-        console.warn('[Live Reload] WebSocket not available, live reload disabled');
-        console.warn('Run "npm install ws" to enable live reload functionality');
+        app.liveReload.transport = 'sse';
+        console.warn('[Live Reload] "ws" not installed, falling back to Server-Sent Events');
+        console.warn('Run "npm install ws" to use WebSocket live reload');
     }
 }
 
-function broadcastReload() {
-    if (wsConnections.length > 0) {
-        wsConnections.forEach(ws => {
-            if (ws.readyState === 1) { // WebSocket.OPEN
-                ws.send('reload');
-            }
-        });
-        console.log(`[Live Reload] Reload signal sent to ${wsConnections.length} client(s)`);
+function handleEventStream(app, req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 2000\n\n');
+    
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 30000);
+    const client = {
+        send: (payload) => res.write(`data: ${payload}\n\n`),
+        close: () => res.end()
+    };
+    
+    addLiveReloadClient(app, client);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        removeLiveReloadClient(app, client);
+    });
+}
+
+// Browser errors arrive as WebSocket messages or, with Server-Sent Events,
+// as POST requests to the live reload endpoint
+const CLIENT_REPORT_LIMIT = 64 * 1024;
+
+const clientReportPrefixes = {
+    error: '',
+    resource: 'Failed to load ',
+    unhandledrejection: 'Unhandled rejection: ',
+    console: 'console.error: '
+};
+
+async function handleClientReportRequest(app, req, res) {
+    if (req.method !== 'POST') {
+        throw new HttpError(405, 'method_not_allowed', 'Use POST to report browser errors');
+    }
+    
+    const body = await readBody(req, CLIENT_REPORT_LIMIT);
+    handleClientReport(app, body.toString('utf8'));
+    res.writeHead(204);
+    res.end();
+}
+
+// Prints a browser error with its location and emits it as a
+// "client-error" event. Malformed reports are ignored.
+function handleClientReport(app, data) {
+    let report;
+    try {
+        report = JSON.parse(data);
+    } catch (error) {
+        return;
+    }
+    
+    if (!report || report.type !== 'client-error' || !Object.prototype.hasOwnProperty.call(clientReportPrefixes, report.kind)) {
+        return;
+    }
+    
+    const clip = (value, length) => (typeof value === 'string' ? value.slice(0, length) : '');
+    const entry = {
+        kind: report.kind,
+        message: clip(report.message, 2000),
+        source: clip(report.source, 500),
+        stack: clip(report.stack, 4000),
+        page: clip(report.page, 500) || '/'
+    };
+    
+    const location = entry.source && entry.kind !== 'resource' ? ` (${entry.source})` : '';
+    console.error(`[Browser] ❌ ${clientReportPrefixes[entry.kind]}${entry.message}${location} on ${entry.page}`);
+    
+    // Frames look like "at fn (url:1:2)" in Chromium and "fn@url:1:2" in
+    // Firefox and Safari; other lines repeat the message
+    const frames = entry.stack.split('\n').map(line => line.trim()).filter(line => line.startsWith('at ') || line.includes('@'));
+    frames.slice(0, 5).forEach(frame => console.error(`    ${frame}`));
+    
+    app.events.emit('client-error', entry);
+}
+
+function closeLiveReloadServer(app) {
+    if (!app.liveReload) return;
+    
+    app.liveReload.clients.forEach(client => client.close());
+    app.liveReload.clients = [];
+    
+    if (app.liveReload.wsServer) {
+        app.liveReload.wsServer.close();
+    }
+}
+
+// Sends a message to the connected browsers. Returns how many received it.
+function broadcast(app, message) {
+    const clients = app.liveReload ? app.liveReload.clients : [];
+    const payload = JSON.stringify(message);
+    clients.forEach(client => client.send(payload));
+    return clients.length;
+}
+
+// Reloads and updates are also emitted as "reload" events on the server handle
+function broadcastReload(app) {
+    const message = { type: 'reload' };
+    app.events.emit('reload', message);
+    
+    const count = broadcast(app, message);
+    if (count > 0) {
+        console.log(`[Live Reload] Reload signal sent to ${count} client(s)`);
+    }
+}
+
+// Sends a batch of file changes; clients hot-swap what they can
+// (stylesheets, images) and fall back to a full reload otherwise
+function broadcastUpdate(app, changes) {
+    const message = { type: 'update', changes };
+    app.events.emit('reload', message);
+    
+    const count = broadcast(app, message);
+    if (count > 0) {
+        console.log(`[Live Reload] Update for ${changes.length} file(s) sent to ${count} client(s)`);
     }
 }
 
@@ -160,33 +683,279 @@ function broadcastReload() {
 // File Watcher
 // ==========================================================================
 
-function setupFileWatcher() {
+const changeKinds = {
+    '.css': 'css',
+    '.html': 'html',
+    '.js': 'js',
+    '.png': 'image',
+    '.jpg': 'image',
+    '.jpeg': 'image',
+    '.gif': 'image',
+    '.svg': 'image'
+};
+
+// Live reload message payload for a watched file: path is the URL path
+// relative to the static root, e.g. { path: 'css/style.css', kind: 'css' }
+function describeChange(app, event, filePath) {
+    const relativePath = path.relative(app.config.staticDir, path.resolve(app.config.staticDir, filePath));
+    return {
+        event,
+        path: relativePath.split(path.sep).join('/'),
+        kind: changeKinds[path.extname(filePath).toLowerCase()] || 'other'
+    };
+}
+
+// A partial is not a page of its own: editing, adding or removing one
+// changes the pages that include it, which are found by scanning the
+// pages' includes. The blog and docs layouts count as one page each.
+function getAffectedChanges(app, change) {
+    if (change.kind !== 'html' || !isPartial(change.path)) {
+        return [change];
+    }
+    
+    const pages = findDependentPages(app.config.staticDir, change.path);
+    if (app.content && app.content.usesPartial(change.path)) {
+        pages.push(...Object.keys(collections).map(name => `content/${name}`));
+    }
+    if (pages.length === 0) {
+        console.log(`[File Watcher] ${change.path} is not included by any page`);
+    }
+    return pages.map(page => ({ event: 'change', path: page, kind: 'html', partial: change.path }));
+}
+
+// Any change to a Markdown file can show up on every page of its
+// collection (indexes, tags, pagination), so the whole collection reloads:
+// content/blog/launch.md -> { path: 'content/blog', source: 'content/blog/launch.md' }
+function describeContentChange(filePath) {
+    const source = filePath.split(path.sep).join('/');
+    return { event: 'change', path: `content/${source.split('/')[0]}`, kind: 'html', source: `content/${source}` };
+}
+
+// Returns a handle whose close() stops watching and drops pending changes
+function setupFileWatcher(app) {
+    const { staticDir, contentDir, watchPatterns, excludePatterns } = app.config;
     console.log('[File Watcher] Setting up file watcher...');
     
-    const watcher = chokidar.watch(config.watchPatterns, {
-        ignored: config.excludePatterns,
+    const watcher = chokidar.watch(watchPatterns, {
+        cwd: staticDir,
+        ignored: excludePatterns,
         ignoreInitial: true,
         persistent: true
     });
     
-    // Debounce file changes to avoid multiple rapid reloads
+    // Debounce file changes so a burst of saves is sent as one update
     let reloadTimer;
+    let pendingChanges = new Map();
     
-    function scheduleReload(eventType, filePath) {
+    function queueChanges(changes) {
+        changes.forEach(change => pendingChanges.set(change.path, change));
+        
         clearTimeout(reloadTimer);
         reloadTimer = setTimeout(() => {
-            console.log(`[File Watcher] ${eventType}: ${path.relative(process.cwd(), filePath)}`);
-            broadcastReload();
+            const changes = Array.from(pendingChanges.values());
+            pendingChanges = new Map();
+            if (changes.length > 0) {
+                broadcastUpdate(app, changes);
+            }
         }, 100);
     }
     
+    function scheduleReload(eventType, event, filePath) {
+        console.log(`[File Watcher] ${eventType}: ${path.relative(process.cwd(), path.resolve(staticDir, filePath))}`);
+        queueChanges(getAffectedChanges(app, describeChange(app, event, filePath)));
+    }
+    
+    function scheduleContentReload(eventType, filePath) {
+        console.log(`[File Watcher] ${eventType}: ${path.relative(process.cwd(), path.resolve(contentDir, filePath))}`);
+        queueChanges([describeContentChange(filePath)]);
+    }
+    
     watcher
-        .on('change', (filePath) => scheduleReload('Changed', filePath))
-        .on('add', (filePath) => scheduleReload('Added', filePath))
-        .on('unlink', (filePath) => scheduleReload('Removed', filePath))
-        .on('error', (error) => console.error('[File Watcher] Error:', error));
+        .on('change', (filePath) => scheduleReload('Changed', 'change', filePath))
+        .on('add', (filePath) => scheduleReload('Added', 'add', filePath))
+        .on('unlink', (filePath) => scheduleReload('Removed', 'unlink', filePath))
+        .on('error', (error) => reportError(app, error, '[File Watcher] Error:'));
+    
+    console.log(`[File Watcher] Watching ${path.relative(process.cwd(), staticDir) || '.'}/ for changes in:`, watchPatterns);
+    
+    const watchers = [watcher];
+    if (app.content) {
+        const contentWatcher = chokidar.watch(Object.keys(collections).map(name => `${name}/**/*.md`), {
+            cwd: contentDir,
+            ignoreInitial: true,
+            persistent: true
+        });
+        contentWatcher
+            .on('change', (filePath) => scheduleContentReload('Changed', filePath))
+            .on('add', (filePath) => scheduleContentReload('Added', filePath))
+            .on('unlink', (filePath) => scheduleContentReload('Removed', filePath))
+            .on('error', (error) => reportError(app, error, '[File Watcher] Error:'));
+        watchers.push(contentWatcher);
+    }
+    
+    return {
+        close: () => {
+            clearTimeout(reloadTimer);
+            return Promise.all(watchers.map(item => item.close()));
+        }
+    };
+}
+
+// ==========================================================================
+// Live Link Check
+// ==========================================================================
+
+// The checker requests the page's links and assets from this server. A
+// wildcard host is not a destination, so those go to localhost.
+function setupLinkCheck(app, protocol, port) {
+    const { host } = app.config;
+    const checkHost = host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+    app.linkCheck = {
+        load: createHttpLoader(formatServerUrl(protocol, checkHost, port), { rejectUnauthorized: false }),
+        results: new Map()
+    };
+}
+
+// Checks a page after it is served. Problems are logged when the page's
+// result changes, so reloading a page without edits stays quiet, and are
+// emitted as "link-check" events.
+function checkServedPage(app, urlPath, html) {
+    const { results } = app.linkCheck;
+    
+    checkPage({ path: urlPath, html }, app.linkCheck.load)
+        .then(problems => {
+            const summary = problems.map(problem => `${problem.line} ${formatProblem(problem)}`).join('\n');
+            if (results.get(urlPath) === summary) return;
+            const checkedBefore = results.has(urlPath);
+            results.set(urlPath, summary);
+            app.events.emit('link-check', { page: urlPath, problems });
+            
+            if (problems.length === 0) {
+                if (checkedBefore) {
+                    console.log(`[Link Check] ✅ ${urlPath}: no problems left`);
+                }
+                return;
+            }
+            console.warn(`[Link Check] ⚠️  ${problems.length} problem${problems.length === 1 ? '' : 's'} on ${urlPath}:`);
+            problems.forEach(problem => console.warn(`    line ${problem.line}: ${formatProblem(problem)}`));
+        })
+        .catch(error => reportError(app, error, '[Link Check] Error:'));
+}
+
+// ==========================================================================
+// API Routes
+// ==========================================================================
+
+const ANALYTICS_SUMMARY_PATH = '/__analytics';
+const EXPERIMENTS_PATH = '/__experiments';
+
+// Handlers store their data under the server's dataDir and read experiments
+// from the directory it serves
+function createApiHandlers(serverConfig) {
+    return {
+        handleFormRequest: createFormHandler({
+            storageDir: path.join(serverConfig.dataDir, 'submissions')
+        }),
+        analytics: createAnalyticsHandler({
+            logFile: path.join(serverConfig.dataDir, 'analytics', 'events.ndjson')
+        }),
+        // Forces A/B variants for this browser via a cookie
+        handleExperimentsRequest: createExperimentsHandler({
+            configPath: path.join(serverConfig.staticDir, 'data', 'experiments.json')
+        })
+    };
+}
+
+async function handleApiRequest(app, req, res, urlPath) {
+    const route = urlPath.replace(/^\/api\//, '').replace(/\/$/, '');
+
+    try {
+        if (!/^[a-z0-9-]+$/i.test(route)) {
+            throw new HttpError(404, 'not_found', `No API route for ${urlPath}`);
+        }
+
+        // Reserved routes take precedence over form names
+        if (route === 'events') {
+            await app.api.analytics.handleEventsRequest(req, res);
+            return;
+        }
+
+        await app.api.handleFormRequest(req, res, route);
+    } catch (error) {
+        sendError(res, error);
+    }
+}
+
+// ==========================================================================
+// vercel.json Routing
+// ==========================================================================
+
+function reloadVercelConfig(app) {
+    app.vercelConfig = loadVercelConfig(app.config.vercelConfigPath);
+    app.vercelConfig.warnings.forEach(warning => console.warn(`[vercel.json] ⚠️  ${warning}`));
+}
+
+function watchVercelConfig(app) {
+    return chokidar.watch(app.config.vercelConfigPath, { ignoreInitial: true })
+        .on('all', () => {
+            console.log('[vercel.json] Changed, reloading routing rules');
+            reloadVercelConfig(app);
+            broadcastReload(app);
+        })
+        .on('error', (error) => reportError(app, error, '[vercel.json] Watcher error:'));
+}
+
+// The mock route table only changes when files come and go
+function watchMocks(app) {
+    return chokidar.watch(app.config.mocksDir, { ignoreInitial: true })
+        .on('all', (event) => {
+            if (event !== 'change') {
+                app.mocks.reloadRoutes();
+            }
+        })
+        .on('error', (error) => reportError(app, error, '[Mock] Watcher error:'));
+}
+
+// ==========================================================================
+// Localization
+// ==========================================================================
+
+// Must match i18nConfig.cookieName in src/js/main.js
+const LOCALE_COOKIE = 'flowsync_locale';
+
+// Read on every call so locale edits show up on the next reload
+function getLocales(app) {
+    try {
+        return loadLocales(path.join(app.config.staticDir, 'locales'));
+    } catch (error) {
+        console.warn(`[i18n] ${error.message}`);
+        return null;
+    }
+}
+
+// Visitors of the home page are sent to their language's path: an explicit
+// choice from the language switcher (cookie) wins over Accept-Language
+function getLocaleRedirect(app, req, urlPath, search) {
+    if (urlPath !== '/' || (req.method !== 'GET' && req.method !== 'HEAD')) return null;
     
-    console.log('[File Watcher] Watching for changes in:', config.watchPatterns);
+    const locales = getLocales(app);
+    if (!locales) return null;
+    
+    const chosen = readCookie(req, LOCALE_COOKIE);
+    const locale = locales.locales.some(item => item.code === chosen)
+        ? chosen
+        : negotiateLocale(req.headers['accept-language'], locales);
+    
+    return locale === locales.defaultLocale ? null : `/${locale}/${search}`;
+}
+
+function staticFileExists(app, urlPath) {
+    try {
+        const { fullPath } = resolveStaticPath(app.config.staticDir, urlPath);
+        return fs.statSync(fullPath).isFile();
+    } catch (error) {
+        return false;
+    }
 }
 
 // ==========================================================================
@@ -195,94 +964,446 @@ function setupFileWatcher() {
 
 function getMimeType(filePath) {
     const ext = path.extname(filePath).toLowerCase();
-    return customMimeTypes[ext] || mimeTypes.lookup(filePath) || 'application/octet-stream';
+    return customMimeTypes[path.basename(filePath).toLowerCase()] || customMimeTypes[ext] || mimeTypes.lookup(filePath) || 'application/octet-stream';
 }
 
-function serveFile(res, filePath) {
-    const fullPath = path.join(config.staticDir, filePath);
+function sendErrorPage(res, status, title, message) {
+    const nonce = res.locals && res.locals.nonce;
     
-    fs.readFile(fullPath, (err, data) => {
-        if (err) {
-            res.writeHead(404, { 'Content-Type': 'text/html; charset=utf-8' });
-            res.end(`
-                <!DOCTYPE html>
-                <html lang="en">
-                <head>
-                    <meta charset="UTF-8">
-                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                    <title>404 - File Not Found</title>
-                    <style>
-                        body { 
-                            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-                            text-align: center; 
-                            padding: 50px; 
-                            color: #333; 
-                        }
-                        h1 { color: #e74c3c; }
-                        .back-link { 
-                            display: inline-block; 
-                            margin-top: 20px; 
-                            padding: 10px 20px; 
-                            background: #4a90e2; 
-                            color: white; 
-                            text-decoration: none; 
-                            border-radius: 5px; 
-                        }
-                    </style>
-                </head>
-                <body>
-                    <h1>404 - File Not Found</h1>
-                    <p>The requested file <code>${filePath}</code> could not be found.</p>
-                    <a href="/" class="back-link">← Back to Home</a>
-                </body>
-                </html>
-            `);
-            return;
-        }
-        
-        const mimeType = getMimeType(filePath);
-        const headers = {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>${status} - ${escapeHtml(title)}</title>
+            <style${nonce ? ` nonce="${nonce}"` : ''}>
+                body { 
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+                    text-align: center; 
+                    padding: 50px; 
+                    color: #333; 
+                }
+                h1 { color: #e74c3c; }
+                .back-link { 
+                    display: inline-block; 
+                    margin-top: 20px; 
+                    padding: 10px 20px; 
+                    background: #4a90e2; 
+                    color: white; 
+                    text-decoration: none; 
+                    border-radius: 5px; 
+                }
+            </style>
+        </head>
+        <body>
+            <h1>${status} - ${escapeHtml(title)}</h1>
+            <p>${message}</p>
+            <a href="/" class="back-link">← Back to Home</a>
+        </body>
+        </html>
+    `);
+}
+
+function sendNotFound(res, filePath) {
+    sendErrorPage(res, 404, 'File Not Found', `The requested file <code>${escapeHtml(filePath)}</code> could not be found.`);
+}
+
+function getResponseHeaders(app, filePath, mimeType, stats) {
+    if (!app.config.production) {
+        return {
             'Content-Type': mimeType,
             'Cache-Control': 'no-cache, no-store, must-revalidate',
             'Pragma': 'no-cache',
-            'Expires': '0'
+            'Expires': '0',
+            'Accept-Ranges': 'bytes'
         };
-        
-        // Inject live reload script into HTML files
-        if (mimeType.includes('text/html') && wsServer) {
-            const htmlContent = data.toString();
-            const modifiedHtml = htmlContent.replace('</body>', `${liveReloadScript}</body>`);
-            data = Buffer.from(modifiedHtml);
-            headers['Content-Length'] = data.length;
+    }
+    
+    return {
+        'Content-Type': mimeType,
+        'Cache-Control': getCacheControl(filePath, mimeType),
+        'ETag': createETag(stats),
+        'Last-Modified': stats.mtime.toUTCString(),
+        'Accept-Ranges': 'bytes',
+        'Vary': 'Accept-Encoding'
+    };
+}
+
+function getStaticRoot(app) {
+    if (!app.staticRoot) {
+        app.staticRoot = fs.realpathSync(app.config.staticDir);
+    }
+    return app.staticRoot;
+}
+
+// Directories are only served with a trailing slash, as on static hosts, so
+// relative links on their index page resolve: /blog?page=2 -> /blog/?page=2
+function redirectToDirectory(req, res) {
+    const urlPath = req.url.split('?')[0];
+    res.writeHead(301, { 'Location': `${urlPath}/${req.url.slice(urlPath.length)}` });
+    res.end();
+}
+
+function serveFile(app, req, res, filePath) {
+    const fullPath = path.join(app.config.staticDir, filePath);
+    
+    // Partials only exist inside other pages, as in the production build
+    if (isPartial(filePath)) {
+        sendNotFound(res, filePath);
+        return;
+    }
+    
+    // Symlinks must not lead outside the static root either
+    fs.realpath(fullPath, (realpathErr, realPath) => {
+        if (realpathErr || !isInsideRoot(getStaticRoot(app), realPath)) {
+            sendNotFound(res, filePath);
+            return;
         }
         
-        res.writeHead(200, headers);
-        res.end(data);
+        fs.stat(realPath, (err, stats) => {
+            if (!err && stats.isDirectory()) {
+                redirectToDirectory(req, res);
+                return;
+            }
+            if (err || !stats.isFile()) {
+                sendNotFound(res, filePath);
+                return;
+            }
+            
+            sendFile(app, req, res, filePath, realPath, stats);
+        });
     });
 }
 
-function createHttpServer() {
-    const server = http.createServer((req, res) => {
-        let urlPath = req.url.split('?')[0]; // Remove query parameters
-        
-        // Security: Prevent directory traversal
-        urlPath = path.normalize(urlPath).replace(/^(\.\.[\/\\])+/, '');
-        
-        // Default to index.html for root and directory requests
-        if (urlPath === '/' || urlPath.endsWith('/')) {
-            urlPath = path.join(urlPath, 'index.html');
+// Localizes a development page and injects the live reload script; page
+// identifies it in live reload updates
+function sendHtml(app, req, res, html, headers, page) {
+    let htmlContent = html;
+    const locales = getLocales(app);
+    if (locales) {
+        // Every page is served under each locale prefix, so alternates are
+        // linked for all but error pages
+        const urlPath = req.url.split('?')[0];
+        const pagePath = res.locals.locale ? urlPath.slice(res.locals.locale.length + 1) || '/' : urlPath;
+        htmlContent = localizeHtml(htmlContent, locales, res.locals.locale || locales.defaultLocale, {
+            path: (res.locals.status || 200) === 200 ? pagePath : null
+        });
+    }
+    htmlContent = addNonceToInlineScripts(htmlContent, res.locals.nonce);
+    
+    // Checked as "npm run check" sees it, without the live reload script
+    if (app.linkCheck && !req.headers[CHECK_HEADER]) {
+        checkServedPage(app, req.url.split('?')[0], htmlContent);
+    }
+    if (app.liveReload) {
+        htmlContent = injectLiveReloadScript(htmlContent, createLiveReloadScript(app.liveReload.transport, res.locals.nonce, page));
+    }
+    const body = Buffer.from(htmlContent);
+    headers['Content-Length'] = body.length;
+    
+    res.writeHead(res.locals.status || 200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+// Blog and docs pages rendered from content/. Returns false when contentPath
+// (the routed path without locale prefix) is not a content page.
+function serveContent(app, req, res, contentPath) {
+    const locales = getLocales(app);
+    let result;
+    try {
+        result = app.content.render(contentPath, {
+            locale: res.locals.locale || (locales && locales.defaultLocale),
+            localePath: res.locals.locale ? `/${res.locals.locale}` : '',
+            siteUrl: `${req.socket.encrypted ? 'https' : 'http'}://${req.headers.host}`
+        });
+    } catch (error) {
+        reportError(app, error, '❌ Content error:');
+        sendErrorPage(res, 500, 'Content Error', escapeHtml(error.message));
+        return true;
+    }
+    
+    if (!result) {
+        return false;
+    }
+    
+    if (result.redirect) {
+        redirectToDirectory(req, res);
+        return true;
+    }
+    
+    const mimeType = result.type === 'xml' ? getMimeType(contentPath) : customMimeTypes['.html'];
+    const headers = getResponseHeaders(app, result.page, mimeType, null);
+    if (result.type === 'html') {
+        sendHtml(app, req, res, result.body, headers, result.page);
+        return true;
+    }
+    
+    const body = Buffer.from(result.body);
+    headers['Content-Length'] = body.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body);
+    return true;
+}
+
+// Writes a resolved file: live reload injection for HTML in development,
+// conditional requests, ranges and compression in production
+function sendFile(app, req, res, filePath, fullPath, stats) {
+    const { production } = app.config;
+    const mimeType = getMimeType(filePath);
+    const headers = getResponseHeaders(app, filePath, mimeType, stats);
+    
+    // Keep any Vary set while routing (e.g. for locale negotiation)
+    if (res.hasHeader('Vary') && headers['Vary']) {
+        headers['Vary'] = `${res.getHeader('Vary')}, ${headers['Vary']}`;
+    }
+    
+    // Expand includes, localize HTML and inject the live reload script in
+    // development (the build does the same for production)
+    if (mimeType.includes('text/html') && !production) {
+        fs.readFile(fullPath, (readErr, data) => {
+            if (readErr) {
+                sendNotFound(res, filePath);
+                return;
+            }
+            
+            let htmlContent;
+            try {
+                htmlContent = renderIncludes(data.toString(), { root: app.config.staticDir, file: filePath }).html;
+            } catch (error) {
+                reportError(app, error, '❌ Include error:');
+                sendErrorPage(res, 500, 'Include Error', escapeHtml(error.message));
+                return;
+            }
+            
+            sendHtml(app, req, res, htmlContent, headers, filePath);
+        });
+        return;
+    }
+    
+    if (production && isFresh(req, headers['ETag'], stats.mtime)) {
+        res.writeHead(304, {
+            'Cache-Control': headers['Cache-Control'],
+            'ETag': headers['ETag'],
+            'Last-Modified': headers['Last-Modified']
+        });
+        res.end();
+        return;
+    }
+    
+    // Byte ranges (e.g. video seeking) are served uncompressed
+    const range = parseRange(req.headers.range, stats.size);
+    if (range && range.unsatisfiable) {
+        res.writeHead(416, { 'Content-Range': `bytes */${stats.size}` });
+        res.end();
+        return;
+    }
+    
+    let status = res.locals.status || 200;
+    let streamOptions = {};
+    const encoding = range || !production ? null : negotiateEncoding(req, mimeType, stats.size);
+    
+    if (range) {
+        status = 206;
+        streamOptions = range;
+        headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stats.size}`;
+        headers['Content-Length'] = range.end - range.start + 1;
+    } else if (encoding) {
+        headers['Content-Encoding'] = encoding;
+    } else {
+        headers['Content-Length'] = stats.size;
+    }
+    
+    res.writeHead(status, headers);
+    
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    
+    const stream = fs.createReadStream(fullPath, streamOptions);
+    stream.on('error', (streamErr) => {
+        reportError(app, streamErr, `❌ Error reading ${filePath}:`);
+        res.destroy(streamErr);
+    });
+    
+    if (encoding) {
+        stream.pipe(createEncoder(encoding)).pipe(res);
+    } else {
+        stream.pipe(res);
+    }
+}
+
+function getCspOptions(app, res) {
+    return { nonce: res.locals.nonce, development: !app.config.production };
+}
+
+function applySecurityHeaders(app, res) {
+    const headers = getSecurityHeaders(app.config.securityHeaders, getCspOptions(app, res));
+    
+    Object.keys(headers).forEach(name => res.setHeader(name, headers[name]));
+}
+
+// Headers from vercel.json override the defaults. A CSP defined there is
+// extended with the same development additions as the default policy.
+function applyRouteHeaders(app, res, headers) {
+    Object.keys(headers).forEach(name => {
+        let value = headers[name];
+        if (name.toLowerCase() === 'content-security-policy') {
+            value = buildContentSecurityPolicy(parseContentSecurityPolicy(value), getCspOptions(app, res));
         }
+        res.setHeader(name, value);
+    });
+}
+
+// tlsOptions ({ cert, key }) switch the server to HTTPS; live reload
+// clients then connect over wss:// on their own
+function createHttpServer(app, tlsOptions) {
+    const listener = (req, res) => {
+        const startTime = Date.now();
+        res.on('finish', () => {
+            app.events.emit('request', {
+                method: req.method,
+                url: req.url,
+                status: res.statusCode,
+                duration: Date.now() - startTime
+            });
+        });
         
-        // Remove leading slash
-        urlPath = urlPath.replace(/^\//, '');
-        
-        // Log request
+        runRequestStep(app, req, res, () => handleRequest(app, req, res));
+    };
+    
+    return tlsOptions ? https.createServer(tlsOptions, listener) : http.createServer(listener);
+}
+
+// A bug in one request must not take down an embedding process
+function runRequestStep(app, req, res, step) {
+    try {
+        step();
+    } catch (error) {
+        reportError(app, error, `❌ Error handling ${req.method} ${req.url}:`);
+        if (!res.headersSent) {
+            sendErrorPage(res, 500, 'Internal Server Error', 'The server could not handle this request.');
+        } else {
+            res.destroy(error);
+        }
+    }
+}
+
+function handleRequest(app, req, res) {
+    const urlPath = req.url.split('?')[0]; // Remove query parameters
+    
+    // Log request, except the link checker's own
+    if (!req.headers[CHECK_HEADER]) {
         console.log(`[${new Date().toLocaleTimeString()}] ${req.method} ${req.url}`);
-        
-        serveFile(res, urlPath);
-    });
+    }
+    
+    // Security headers apply to every response, including API and errors
+    res.locals = { nonce: createNonce() };
+    applySecurityHeaders(app, res);
+    
+    if (urlPath === LIVE_RELOAD_PATH && app.liveReload) {
+        if (req.method === 'POST' || app.liveReload.transport !== 'sse') {
+            handleClientReportRequest(app, req, res).catch(error => sendError(res, error));
+        } else {
+            handleEventStream(app, req, res);
+        }
+        return;
+    }
     
-    return server;
+    // The API and its dashboards are development tools (app.api is null in
+    // production): they expose stored data and write to dataDir
+    if (app.api && urlPath === ANALYTICS_SUMMARY_PATH) {
+        app.api.analytics.handleSummaryRequest(req, res).catch(error => sendError(res, error));
+        return;
+    }
+    
+    if (app.api && urlPath === EXPERIMENTS_PATH) {
+        app.api.handleExperimentsRequest(req, res).catch(error => sendError(res, error));
+        return;
+    }
+    
+    // Mocks answer before the real routes (or delay them, for passthrough mocks)
+    if (app.mocks) {
+        app.mocks.handleMockRequest(req, res, urlPath).then(
+            (handled) => {
+                if (!handled) runRequestStep(app, req, res, () => handleRoutedRequest(app, req, res, urlPath));
+            },
+            (error) => sendError(res, error)
+        );
+        return;
+    }
+    
+    handleRoutedRequest(app, req, res, urlPath);
+}
+
+// API, locale redirects, vercel.json rules and static files
+function handleRoutedRequest(app, req, res, urlPath) {
+    // Route API calls before static file resolution
+    if (app.api && urlPath.startsWith('/api/')) {
+        handleApiRequest(app, req, res, urlPath);
+        return;
+    }
+    
+    const search = req.url.slice(urlPath.length);
+    
+    // The home page depends on the visitor's language preference
+    if (urlPath === '/') {
+        res.setHeader('Vary', 'Accept-Language, Cookie');
+        const localeRedirect = getLocaleRedirect(app, req, urlPath, search);
+        if (localeRedirect) {
+            res.writeHead(302, { 'Location': localeRedirect });
+            res.end();
+            return;
+        }
+    }
+    
+    // Apply vercel.json redirects, rewrites and headers
+    const route = routeRequest(app.vercelConfig, { method: req.method, pathname: urlPath, search }, (pathname) => staticFileExists(app, pathname));
+    applyRouteHeaders(app, res, route.headers);
+    
+    if (route.type === 'redirect') {
+        res.writeHead(route.status, { 'Location': route.location });
+        res.end();
+        return;
+    }
+    
+    if (route.type === 'external') {
+        sendErrorPage(res, 502, 'Bad Gateway', `Rewrites to other origins are not proxied by the dev server: <code>${escapeHtml(route.location)}</code>`);
+        return;
+    }
+    
+    res.locals.status = route.status;
+    
+    // In development /de/... serves the source pages rendered in German;
+    // production builds write those pages to dist/de/
+    const locales = app.config.production ? null : getLocales(app);
+    const localized = locales && splitLocalePath(route.path, locales);
+    if (localized) {
+        // The build writes /de/ as a directory, so /de redirects as well
+        if (!route.path.endsWith('/') && localized.path === '/') {
+            redirectToDirectory(req, res);
+            return;
+        }
+        res.locals.locale = localized.locale;
+        route.path = localized.path;
+    }
+    
+    if (app.content && serveContent(app, req, res, route.path)) {
+        return;
+    }
+    
+    // Security: Resolve the path strictly inside the static root
+    let resolved;
+    try {
+        resolved = resolveStaticPath(app.config.staticDir, route.path);
+    } catch (error) {
+        sendErrorPage(res, error.status, http.STATUS_CODES[error.status], escapeHtml(error.message));
+        return;
+    }
+    
+    serveFile(app, req, res, resolved.relativePath);
 }
 
 // ==========================================================================
@@ -315,82 +1436,423 @@ function openBrowser(url) {
 }
 
 // ==========================================================================
-// Server Startup
+// Programmatic API
 // ==========================================================================
 
-function startServer() {
-    console.log('='.repeat(60));
-    console.log('🚀 FlowSync Landing Page Development Server');
-    console.log('='.repeat(60));
+// Fills in options over the defaults in config; root (the directory to
+// serve) becomes the absolute staticDir
+function resolveConfig(options = {}) {
+    const resolved = { ...config, ...options };
+    resolved.securityHeaders = { ...config.securityHeaders, ...options.securityHeaders };
+    resolved.staticDir = path.resolve(resolved.root || path.join(__dirname, resolved.production ? 'dist' : 'src'));
+    resolved.https = Boolean(resolved.https || resolved.cert || resolved.key);
+    return resolved;
+}
+
+// Runtime errors are logged, shown in the error overlay of connected
+// browsers and emitted as "error" events on the server handle. Without a
+// listener they are only logged: an unhandled "error" event would throw and
+// crash the embedding process.
+function reportError(app, error, label) {
+    console.error(label, error);
+    broadcast(app, {
+        type: 'error',
+        message: `${label} ${error && error.message ? error.message : error}`,
+        stack: error && error.stack
+    });
+    if (app.events.listenerCount('error') > 0) {
+        app.events.emit('error', error);
+    }
+}
+
+function formatServerUrl(protocol, host, port) {
+    return `${protocol}://${host.includes(':') ? `[${host}]` : host}:${port}`;
+}
+
+// Starts a server and resolves once it is listening. It never opens a
+// browser or installs process handlers, so it can be embedded in scripts
+// and tests:
+//
+//   const devServer = await createDevServer({ port: 0, liveReload: false });
+//   devServer.events.on('request', ({ method, url, status }) => ...);
+//   await fetch(devServer.url);
+//   await devServer.close();
+//
+// Events: "request" ({ method, url, status, duration }) after each response,
+// "reload" (the live reload message) when watched files change,
+// "client-error" ({ kind, message, source, stack, page }) for errors reported
+// by browsers, "link-check" ({ page, problems }) with checkLinks, and "error".
+// Rejects when the server cannot listen, e.g. with EADDRINUSE.
+async function createDevServer(options = {}) {
+    const serverConfig = resolveConfig(options);
     
-    const server = createHttpServer();
+    if (serverConfig.production && !fs.existsSync(serverConfig.staticDir)) {
+        throw new Error(`${path.relative(process.cwd(), serverConfig.staticDir)}/ not found. Run "npm run build" first.`);
+    }
     
-    server.listen(config.port, config.host, () => {
-        const serverUrl = `http://${config.host}:${config.port}`;
-        
-        console.log(`✅ Server running at: ${serverUrl}`);
-        console.log(`📁 Serving files from: ${config.staticDir}`);
-        console.log(`🖥️  Platform: ${process.platform}`);
-        console.log(`📦 Node.js: ${process.version}`);
-        
-        // Setup live reload
-        createWebSocketServer();
-        setupFileWatcher();
-        
-        console.log('='.repeat(60));
-        console.log('📝 Available commands:');
-        console.log('   Ctrl+C or Cmd+C: Stop the server');
-        console.log('='.repeat(60));
+    const certificate = serverConfig.https
+        ? await loadCertificate({
+            certPath: serverConfig.cert,
+            keyPath: serverConfig.key,
+            cacheDir: path.join(serverConfig.dataDir, 'certs'),
+            host: serverConfig.host
+        })
+        : null;
+    
+    if (certificate && certificate.created) {
+        console.log(`[HTTPS] Created a self-signed certificate for ${certificate.hosts.join(', ')} in ${path.relative(process.cwd(), path.join(serverConfig.dataDir, 'certs'))}/`);
+    }
+    
+    const app = {
+        config: serverConfig,
+        events: new EventEmitter(),
+        api: serverConfig.production ? null : createApiHandlers(serverConfig),
+        mocks: !serverConfig.production && serverConfig.mocks
+            ? createMockHandler({ dir: serverConfig.mocksDir })
+            : null,
+        // Production serves the content pages the build wrote to dist/
+        content: serverConfig.production
+            ? null
+            : createContentSite({ dir: serverConfig.contentDir, root: serverConfig.staticDir, drafts: true }),
+        vercelConfig: null,
+        staticRoot: null,
+        liveReload: null,
+        linkCheck: null,
+        watchers: []
+    };
+    
+    reloadVercelConfig(app);
+    
+    const server = createHttpServer(app, certificate && { cert: certificate.cert, key: certificate.key });
+    if (!serverConfig.production && serverConfig.liveReload) {
+        createLiveReloadServer(app, server);
+    }
+    
+    // Keep-alive connections and event streams would hold close() open
+    const sockets = new Set();
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+    
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
         
-        // Open browser automatically (after a short delay)
-        setTimeout(() => {
-            openBrowser(serverUrl);
-        }, 1000);
+        server.listen(serverConfig.port, serverConfig.host, () => {
+            server.off('error', reject);
+            server.on('error', (error) => reportError(app, error, '❌ Server error:'));
+            
+            if (!serverConfig.production) {
+                if (serverConfig.liveReload) {
+                    app.watchers.push(setupFileWatcher(app));
+                }
+                app.watchers.push(watchVercelConfig(app));
+                if (app.mocks) {
+                    app.watchers.push(watchMocks(app));
+                }
+            }
+            
+            const url = formatServerUrl(certificate ? 'https' : 'http', serverConfig.host, server.address().port);
+            if (!serverConfig.production && serverConfig.checkLinks) {
+                setupLinkCheck(app, certificate ? 'https' : 'http', server.address().port);
+            }
+            
+            let closing;
+            resolve({
+                url,
+                config: serverConfig,
+                server,
+                events: app.events,
+                // { cert, selfSigned, hosts, expires } in HTTPS mode; pass
+                // cert as the trusted CA when requesting a self-signed server
+                certificate: certificate && {
+                    cert: certificate.cert.toString(),
+                    selfSigned: certificate.selfSigned,
+                    hosts: certificate.hosts || null,
+                    expires: certificate.expires || null
+                },
+                // Stops the watchers, disconnects live reload clients and
+                // closes the server; safe to call more than once
+                close: () => {
+                    closing = closing || closeDevServer(app, server, sockets);
+                    return closing;
+                }
+            });
+        });
     });
+}
+
+async function closeDevServer(app, server, sockets) {
+    await Promise.all(app.watchers.map(watcher => watcher.close()));
+    closeLiveReloadServer(app);
     
-    server.on('error', (err) => {
-        if (err.code === 'EADDRINUSE') {
-            console.error(`❌ Port ${config.port} is already in use.`);
-            console.log(`💡 Try running with a different port: PORT=3001 node server.js`);
+    await new Promise(resolve => {
+        server.close(() => resolve());
+        sockets.forEach(socket => socket.destroy());
+    });
+}
+
+// ==========================================================================
+// Server Startup
+// ==========================================================================
+
+// Interactive use: prints a banner, opens the browser and stops on Ctrl+C.
+// Exits the process when the server cannot start.
+async function startServer(options = {}) {
+    const serverConfig = resolveConfig(options);
+    
+    console.log('='.repeat(60));
+    console.log(`🚀 FlowSync Landing Page ${serverConfig.production ? 'Preview' : 'Development'} Server`);
+    console.log('='.repeat(60));
+    
+    let devServer;
+    try {
+        devServer = await createDevServer(options);
+    } catch (error) {
+        if (error.code === 'EADDRINUSE') {
+            console.error(`❌ Port ${serverConfig.port} is already in use.`);
+            console.log(`💡 Try running with a different port: node server.js --port ${serverConfig.port + 1}`);
         } else {
-            console.error('❌ Server error:', err);
+            console.error(`❌ ${error.message}`);
         }
         process.exit(1);
-    });
+    }
+    
+    let mode = 'production (caching, compression)';
+    if (!serverConfig.production) {
+        mode = serverConfig.liveReload ? 'development (live reload)' : 'development (live reload off)';
+    }
+    
+    console.log(`✅ Server running at: ${devServer.url}`);
+    getNetworkUrls(devServer).forEach(url => console.log(`🌐 On your network: ${url}`));
+    if (devServer.certificate && devServer.certificate.selfSigned) {
+        console.log('🔒 HTTPS uses a self-signed certificate: confirm the browser warning once, or trust');
+        console.log(`   ${path.relative(process.cwd(), path.join(serverConfig.dataDir, 'certs', 'dev-cert.pem'))} on your devices`);
+    }
+    console.log(`📁 Serving files from: ${serverConfig.staticDir}`);
+    console.log(`🖥️  Platform: ${process.platform}`);
+    console.log(`📦 Node.js: ${process.version}`);
+    console.log(`⚙️  Mode: ${mode}`);
+    console.log('='.repeat(60));
+    console.log('📝 Available commands:');
+    console.log('   Ctrl+C or Cmd+C: Stop the server');
+    console.log('='.repeat(60));
+    
+    // Open browser automatically (after a short delay)
+    if (serverConfig.open) {
+        setTimeout(() => {
+            openBrowser(devServer.url);
+        }, 1000);
+    }
     
     // Graceful shutdown
-    process.on('SIGINT', () => {
+    const shutdown = () => {
         console.log('\n👋 Shutting down server...');
-        server.close(() => {
-            if (wsServer) {
-                wsServer.close();
-            }
+        devServer.close().then(() => {
             console.log('✅ Server stopped successfully');
             process.exit(0);
         });
-    });
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    
+    return devServer;
+}
+
+// A server bound to every interface is reachable through each LAN address
+function getNetworkUrls(devServer) {
+    const { host } = devServer.config;
+    if (host !== '0.0.0.0' && host !== '::') return [];
+    
+    const url = new URL(devServer.url);
+    return Object.values(os.networkInterfaces()).flat()
+        .filter(info => info && info.family === 'IPv4' && !info.internal)
+        .map(info => `${url.protocol}//${info.address}:${url.port}`);
 }
 
 // ==========================================================================
-// Error Handling
+// Command Line
 // ==========================================================================
 
-process.on('uncaughtException', (err) => {
-    console.error('❌ Uncaught Exception:', err);
-    process.exit(1);
-});
+const CONFIG_FILE = 'flowsync.config.js';
+
+const CLI_USAGE = `Usage: node server.js [options]
+
+Options:
+  --port <number>  Port to listen on (default: 3000)
+  --host <name>    Host to bind to (default: localhost)
+  --root <dir>     Directory to serve (default: src/, or dist/ with --prod)
+  --prod           Serve the production build with caching and compression
+  --https          Serve over HTTPS with a generated self-signed certificate
+  --cert <file>    Certificate (PEM) to use for HTTPS instead; needs --key
+  --key <file>     Private key (PEM) for --cert
+  --no-open        Do not open a browser
+  --no-reload      Disable live reload and the file watcher
+  --no-mocks       Ignore mocks/ and always use the real routes
+  --check-links    Warn about missing assets and broken links on served pages
+  --help           Show this message
+
+Options can also be set in ${CONFIG_FILE} and through PORT, HOST and
+NODE_ENV=production. Flags take precedence over the environment, which
+takes precedence over the config file.`;
+
+// Option keys holding paths; relative values in the config file are
+// resolved against its directory
+const PATH_OPTIONS = ['root', 'dataDir', 'vercelConfigPath', 'cert', 'key', 'mocksDir', 'contentDir'];
+
+function parsePort(value) {
+    const port = Number(value);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        throw new Error(`Invalid port: ${value}`);
+    }
+    return port;
+}
+
+// Parses flags into createDevServer() options. Values can be passed as
+// "--port 3001" or "--port=3001". Throws on unknown flags.
+function parseArgs(argv) {
+    const options = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const separator = arg.indexOf('=');
+        const flag = separator === -1 ? arg : arg.slice(0, separator);
+        
+        const readValue = () => {
+            const value = separator === -1 ? argv[++i] : arg.slice(separator + 1);
+            if (value === undefined || value === '' || value.startsWith('--')) {
+                throw new Error(`${flag} needs a value`);
+            }
+            return value;
+        };
+        const noValue = () => {
+            if (separator !== -1) {
+                throw new Error(`${flag} does not take a value`);
+            }
+        };
+        
+        switch (flag) {
+            case '--port':
+                options.port = parsePort(readValue());
+                break;
+            case '--host':
+                options.host = readValue();
+                break;
+            case '--root':
+                options.root = path.resolve(readValue());
+                break;
+            case '--prod':
+                noValue();
+                options.production = true;
+                break;
+            case '--https':
+                noValue();
+                options.https = true;
+                break;
+            case '--cert':
+                options.cert = path.resolve(readValue());
+                break;
+            case '--key':
+                options.key = path.resolve(readValue());
+                break;
+            case '--no-open':
+                noValue();
+                options.open = false;
+                break;
+            case '--no-reload':
+                noValue();
+                options.liveReload = false;
+                break;
+            case '--no-mocks':
+                noValue();
+                options.mocks = false;
+                break;
+            case '--check-links':
+                noValue();
+                options.checkLinks = true;
+                break;
+            case '--help':
+            case '-h':
+                noValue();
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+    
+    return options;
+}
+
+function readEnvOptions(env) {
+    const options = {};
+    if (env.PORT) options.port = parsePort(env.PORT);
+    if (env.HOST) options.host = env.HOST;
+    if (env.NODE_ENV === 'production') options.production = true;
+    return options;
+}
 
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-    process.exit(1);
-});
+// Loads flowsync.config.js from dir when it exists. The file exports the
+// same options as createDevServer(), e.g. { port: 8080, open: false }.
+function loadConfigFile(dir = process.cwd()) {
+    const filePath = path.join(dir, CONFIG_FILE);
+    if (!fs.existsSync(filePath)) return {};
+    
+    const options = require(filePath);
+    if (!options || typeof options !== 'object') {
+        throw new Error(`${CONFIG_FILE} must export an options object`);
+    }
+    
+    const resolved = { ...options };
+    PATH_OPTIONS.filter(key => typeof resolved[key] === 'string').forEach(key => {
+        resolved[key] = path.resolve(dir, resolved[key]);
+    });
+    return resolved;
+}
+
+function main(argv) {
+    let options;
+    try {
+        const { help, ...flags } = parseArgs(argv);
+        if (help) {
+            console.log(CLI_USAGE);
+            return;
+        }
+        options = { ...loadConfigFile(), ...readEnvOptions(process.env), ...flags };
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.error('Run "node server.js --help" for the available options.');
+        process.exitCode = 1;
+        return;
+    }
+    
+    // Only the command line exits on unexpected errors; embedders decide
+    // for themselves
+    process.on('uncaughtException', (err) => {
+        console.error('❌ Uncaught Exception:', err);
+        process.exit(1);
+    });
+    
+    process.on('unhandledRejection', (reason, promise) => {
+        console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+        process.exit(1);
+    });
+    
+    startServer(options);
+}
 
 // ==========================================================================
 // Start the server
 // ==========================================================================
 
 if (require.main === module) {
-    startServer();
+    main(process.argv.slice(2));
 }
 
-module.exports = { startServer, config };
\ No newline at end of file
+module.exports = {
+    createDevServer,
+    startServer,
+    parseArgs,
+    loadConfigFile,
+    config
+};
@@ -0,0 +1,224 @@
+/**
+ * FlowSync Landing Page - A/B Experiments
+ * Loaded synchronously in <head>: elements marked data-experiment stay
+ * hidden until the visitor's variants have been applied, so the control
+ * copy never flashes before a variant replaces it
+ */
+
+// ==========================================================================
+// Configuration
+// ==========================================================================
+
+const experimentsConfig = {
+    source: '/data/experiments.json',
+    storageKey: 'flowsync:experiments',
+    cookieName: 'flowsync_exp',   // set by the dev server's /__experiments page
+    queryParam: 'exp',            // ?exp=hero:b,other:a
+    pendingClass: 'experiments-pending',
+    timeout: 1000                 // reveal the control if loading takes longer
+};
+
+// ==========================================================================
+// Assignment
+// ==========================================================================
+
+// Parses "hero:b,cta:a" into { hero: 'b', cta: 'a' }
+function parseExperimentOverrides(value) {
+    const overrides = {};
+    (value || '').split(',').forEach(pair => {
+        const [experimentId, variantId] = pair.split(':').map(part => part && part.trim());
+        if (experimentId && variantId) {
+            overrides[experimentId] = variantId;
+        }
+    });
+    return overrides;
+}
+
+function getExperimentOverrides() {
+    const prefix = `${experimentsConfig.cookieName}=`;
+    const cookie = document.cookie.split('; ').find(part => part.startsWith(prefix));
+    const query = new URLSearchParams(window.location.search).get(experimentsConfig.queryParam);
+
+    return {
+        url: parseExperimentOverrides(query),
+        cookie: parseExperimentOverrides(cookie ? decodeURIComponent(cookie.slice(prefix.length)) : '')
+    };
+}
+
+function readStoredAssignments() {
+    try {
+        return JSON.parse(localStorage.getItem(experimentsConfig.storageKey)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function writeStoredAssignments(assignments) {
+    try {
+        localStorage.setItem(experimentsConfig.storageKey, JSON.stringify(assignments));
+    } catch (error) {
+        // Without storage the visitor is re-bucketed on every visit
+    }
+}
+
+function pickWeightedVariant(variants) {
+    const total = variants.reduce((sum, variant) => sum + Math.max(variant.weight || 0, 0), 0);
+    if (total === 0) return variants[0];
+
+    let threshold = Math.random() * total;
+    return variants.find(variant => (threshold -= Math.max(variant.weight || 0, 0)) < 0) || variants[variants.length - 1];
+}
+
+// Precedence: URL override (QA), forced cookie (dev server), the visitor's
+// stored assignment, then a fresh weighted pick. Only the last two are
+// sticky; overrides never overwrite the stored assignment.
+function assignVariants(experiments) {
+    const overrides = getExperimentOverrides();
+    const stored = readStoredAssignments();
+    const assignments = [];
+
+    experiments.filter(experiment => experiment.active !== false).forEach(experiment => {
+        const findVariant = (id) => experiment.variants.find(variant => variant.id === id);
+        let variant;
+        let source;
+
+        if (findVariant(overrides.url[experiment.id])) {
+            variant = findVariant(overrides.url[experiment.id]);
+            source = 'url';
+        } else if (findVariant(overrides.cookie[experiment.id])) {
+            variant = findVariant(overrides.cookie[experiment.id]);
+            source = 'cookie';
+        } else if (findVariant(stored[experiment.id])) {
+            variant = findVariant(stored[experiment.id]);
+            source = 'stored';
+        } else {
+            variant = pickWeightedVariant(experiment.variants);
+            source = 'assigned';
+            stored[experiment.id] = variant.id;
+        }
+
+        assignments.push({ experiment, variant, source });
+    });
+
+    writeStoredAssignments(stored);
+    return assignments;
+}
+
+// ==========================================================================
+// DOM Patches
+// ==========================================================================
+
+// Patch text is either a string or per-locale strings ({ "en": ..., "de": ... })
+// resolved against <html lang>, falling back to the first entry
+function resolvePatchText(text) {
+    if (typeof text === 'string') return text;
+    if (!text || typeof text !== 'object') return undefined;
+
+    const lang = document.documentElement.lang;
+    return text[lang] !== undefined ? text[lang] : text[Object.keys(text)[0]];
+}
+
+// The variant owns the element's text from now on, so its data-i18n text
+// binding is dropped (attribute bindings stay)
+function releaseTextBinding(element) {
+    if (!element.dataset.i18n) return;
+
+    const attributeBindings = element.dataset.i18n.split(';').filter(part => part.trim().startsWith('['));
+    if (attributeBindings.length > 0) {
+        element.dataset.i18n = attributeBindings.join(';');
+    } else {
+        delete element.dataset.i18n;
+    }
+}
+
+function applyExperimentPatches(assignments) {
+    assignments.forEach(({ experiment, variant }) => {
+        (variant.patches || []).forEach(patch => {
+            const text = resolvePatchText(patch.text);
+
+            document.querySelectorAll(patch.selector).forEach(element => {
+                if (text !== undefined) {
+                    releaseTextBinding(element);
+                    element.querySelectorAll('[data-i18n]').forEach(releaseTextBinding);
+                    element.textContent = text;
+                }
+                Object.keys(patch.attributes || {}).forEach(name => {
+                    element.setAttribute(name, patch.attributes[name]);
+                });
+            });
+        });
+
+        document.querySelectorAll(`[data-experiment="${experiment.id}"]`).forEach(element => {
+            element.dataset.variant = variant.id;
+        });
+    });
+}
+
+function revealExperiments() {
+    document.documentElement.classList.remove(experimentsConfig.pendingClass);
+}
+
+function whenDocumentReady() {
+    if (document.readyState !== 'loading') return Promise.resolve();
+    return new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+}
+
+// ==========================================================================
+// Bootstrap
+// ==========================================================================
+
+// Resolves to the exposures ({ experiment, variant, source }) that were
+// applied; main.js reports them through trackEvent once analytics runs
+async function loadExperiments() {
+    document.documentElement.classList.add(experimentsConfig.pendingClass);
+
+    // Once the control has been shown, patching it would cause the very
+    // flicker this avoids, so late variants are skipped for this page view
+    let timedOut = false;
+    const revealTimer = setTimeout(() => {
+        timedOut = true;
+        revealExperiments();
+    }, experimentsConfig.timeout);
+
+    try {
+        const response = await fetch(experimentsConfig.source);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const { experiments = [] } = await response.json();
+        const assignments = assignVariants(experiments);
+
+        await whenDocumentReady();
+        if (timedOut) {
+            return [];
+        }
+        applyExperimentPatches(assignments);
+
+        // Re-apply so per-locale patch text follows the language switcher
+        document.addEventListener('localechange', () => applyExperimentPatches(assignments));
+
+        return assignments.map(({ experiment, variant, source }) => ({
+            experiment: experiment.id,
+            variant: variant.id,
+            source
+        }));
+    } catch (error) {
+        console.warn('Experiments could not be loaded; showing the control:', error);
+        return [];
+    } finally {
+        clearTimeout(revealTimer);
+        revealExperiments();
+    }
+}
+
+const experimentsReady = typeof document !== 'undefined' ? loadExperiments() : Promise.resolve([]);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseExperimentOverrides,
+        pickWeightedVariant,
+        assignVariants,
+        experimentsReady
+    };
+}
@@ -0,0 +1,57 @@
+/**
+ * FlowSync Landing Page - Translation Helpers
+ * Shared by the browser runtime in main.js and by the dev server/build,
+ * which prerender localized pages
+ */
+
+// ==========================================================================
+// Bindings
+// ==========================================================================
+
+// data-i18n holds one or more bindings separated by ";":
+//   "hero.title"                  -> text content
+//   "[alt]hero.imageAlt"          -> the alt attribute
+//   "nav.home;[aria-label]nav.homeLabel"
+// Returns [{ attribute: null | string, key }]
+function parseI18nBindings(value) {
+    return (value || '').split(';').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = /^\[([\w:-]+)\](.*)$/.exec(part);
+        return match ? { attribute: match[1], key: match[2].trim() } : { attribute: null, key: part };
+    }).filter(binding => binding.key); // "[alt]" without a key binds nothing
+}
+
+// Looks up a dotted key ("nav.features"); returns undefined when missing
+function getMessage(messages, key) {
+    const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), messages);
+    return typeof value === 'string' ? value : undefined;
+}
+
+// Returns key => message from messages, falling back to the default
+// locale's fallback messages, or undefined when neither has it
+function createTranslator(messages, fallback) {
+    return (key) => {
+        const value = getMessage(messages || {}, key);
+        return value === undefined ? getMessage(fallback || {}, key) : value;
+    };
+}
+
+// Fills {name} placeholders in a message: formatMessage('Save {percent}',
+// { percent: '20%' }). Unknown placeholders are left as written.
+function formatMessage(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+// Localized pages live under /<locale>/; the default locale uses the root
+function getLocalePath(locale, defaultLocale) {
+    return locale === defaultLocale ? '/' : `/${locale}/`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parseI18nBindings,
+        getMessage,
+        createTranslator,
+        formatMessage,
+        getLocalePath
+    };
+}
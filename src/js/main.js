@@ -12,12 +12,21 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Initialize all components
     initializeNavigation();
+    const i18nReady = initializeI18n();
+    initializeThemeToggle();
     initializeSmoothScrolling();
     initializeCurrentYear();
     initializeScrollEffects();
+    initializeScrollSpy();
+    initializeReveal();
     initializeFormHandlers();
+    initializeModals();
+    initializeDemoVideo();
+    // Cards are rendered in the page's language, so they wait for the locales
+    i18nReady.then(initializeSections).then(initializePricingToggle);
+    initializeConsent();
     
-    // Example of modern async/await usage
+    // Third-party and tracking code waits for consent
     initializeAsyncComponents();
 });
 
@@ -46,22 +55,430 @@ function initializeNavigation() {
         // Close menu when clicking outside
         document.addEventListener('click', (e) => {
             if (!navbarToggle.contains(e.target) && !navbarMenu.contains(e.target)) {
-                navbarMenu.classList.remove('is-active');
-                navbarToggle.classList.remove('is-active');
-                navbarToggle.setAttribute('aria-expanded', 'false');
+                closeNavigationMenu();
             }
         });
         
-        // Close menu when pressing Escape key
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && navbarMenu.classList.contains('is-active')) {
-                navbarMenu.classList.remove('is-active');
-                navbarToggle.classList.remove('is-active');
-                navbarToggle.setAttribute('aria-expanded', 'false');
+            // An open modal handles its own keys
+            if (!navbarMenu.classList.contains('is-active') || modalState.stack.length > 0) return;
+            
+            // Close menu when pressing Escape key
+            if (e.key === 'Escape') {
+                closeNavigationMenu();
                 navbarToggle.focus();
             }
+            
+            // While the mobile menu is open, Tab cycles through its links and
+            // the toggle (which follows the menu in the markup)
+            if (e.key === 'Tab' && navbarToggle.getClientRects().length > 0) {
+                trapFocus(e, [...getFocusableElements(navbarMenu), navbarToggle]);
+            }
+        });
+    }
+}
+
+function closeNavigationMenu() {
+    const navbarMenu = document.getElementById('navbar-menu');
+    const navbarToggle = document.getElementById('navbar-toggle');
+    
+    navbarMenu?.classList.remove('is-active');
+    navbarToggle?.classList.remove('is-active');
+    navbarToggle?.setAttribute('aria-expanded', 'false');
+}
+
+// ==========================================================================
+// Internationalization
+// ==========================================================================
+
+// Pages arrive already translated (the dev server and build prerender
+// data-i18n bindings); the runtime only translates when the visitor
+// switches language. Helpers come from i18n.js.
+const i18nConfig = {
+    manifest: '/locales/index.json',
+    storageKey: 'flowsync:locale',
+    cookieName: 'flowsync_locale', // read by the dev server's negotiation
+    maxAge: 60 * 60 * 24 * 365     // one year, in seconds
+};
+
+const i18nState = {
+    manifest: null,
+    locale: null,
+    messages: {}
+};
+
+async function initializeI18n() {
+    const switcher = document.querySelector('[data-language-switcher]');
+    
+    try {
+        const response = await fetch(i18nConfig.manifest);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        i18nState.manifest = await response.json();
+    } catch (error) {
+        console.warn('Locales could not be loaded:', error);
+        return;
+    }
+    
+    const { locales, defaultLocale } = i18nState.manifest;
+    const pathLocale = getPathLocale(window.location.pathname);
+    i18nState.locale = pathLocale || defaultLocale;
+    
+    // Text set from JavaScript (t()) is looked up synchronously, so the
+    // page's catalog and the default one are loaded up front
+    await Promise.all([i18nState.locale, defaultLocale].map(code => loadLocaleMessages(code).catch(error => {
+        console.warn(`Locale "${code}" could not be loaded:`, error);
+    })));
+    
+    if (switcher) {
+        const select = switcher.querySelector('select');
+        select.innerHTML = locales
+            .map(locale => `<option value="${locale.code}" lang="${locale.code}">${escapeHtml(locale.name)}</option>`)
+            .join('');
+        select.value = i18nState.locale;
+        select.addEventListener('change', () => setLocale(select.value));
+        switcher.hidden = false;
+    }
+    
+    // A localized URL always wins; on the default path (e.g. static hosting
+    // without server negotiation) a stored choice is applied here
+    const stored = readStoredLocale();
+    if (!pathLocale && stored && stored !== i18nState.locale && locales.some(locale => locale.code === stored)) {
+        await setLocale(stored);
+    }
+}
+
+// Returns the non-default locale prefix of a path ("/de/" -> "de"), or null
+function getPathLocale(pathname) {
+    const { locales, defaultLocale } = i18nState.manifest;
+    const segment = pathname.split('/')[1];
+    return segment !== defaultLocale && locales.some(locale => locale.code === segment) ? segment : null;
+}
+
+async function loadLocaleMessages(code) {
+    if (!i18nState.messages[code]) {
+        const response = await fetch(`/locales/${code}.json`);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        i18nState.messages[code] = await response.json();
+    }
+    return i18nState.messages[code];
+}
+
+// Text set from JavaScript in the page's current language: the catalog
+// entry for key with its {placeholders} filled in, falling back to the
+// default locale and then to the given text (as the markup does for
+// data-i18n) until the catalogs are loaded
+function t(key, fallback, values = {}) {
+    const { manifest, messages, locale } = i18nState;
+    const message = createTranslator(messages[locale], manifest && messages[manifest.defaultLocale])(key);
+    return formatMessage(message === undefined ? fallback : message, values);
+}
+
+// Message lookup in the page's current language with the default locale as
+// fallback, for text rendered on the client (the data-driven cards)
+async function getTranslator() {
+    const code = i18nState.locale || document.documentElement.lang;
+    const defaultCode = i18nState.manifest ? i18nState.manifest.defaultLocale : code;
+    const [messages, fallback] = await Promise.all(
+        [code, defaultCode].map(item => loadLocaleMessages(item).catch(() => null))
+    );
+    if (!messages && !fallback) {
+        throw new Error(`Locale "${code}" could not be loaded`);
+    }
+    return createTranslator(messages, fallback);
+}
+
+async function setLocale(code) {
+    const { locales, defaultLocale } = i18nState.manifest;
+    const locale = locales.find(item => item.code === code);
+    if (!locale) return;
+    
+    let messages;
+    try {
+        messages = await loadLocaleMessages(code);
+    } catch (error) {
+        console.error(`Locale "${code}" could not be loaded:`, error);
+        showNotification(t('errors.language', 'Sorry, that language could not be loaded.'), 'error');
+        return;
+    }
+    
+    translatePage(messages);
+    document.documentElement.lang = locale.code;
+    document.documentElement.dir = locale.dir || 'ltr';
+    i18nState.locale = locale.code;
+    persistLocale(locale.code);
+    
+    // Move to the localized URL so reloads and shared links keep the language
+    const pathLocale = getPathLocale(window.location.pathname);
+    const basePath = pathLocale ? window.location.pathname.slice(pathLocale.length + 1) : window.location.pathname;
+    const prefix = getLocalePath(locale.code, defaultLocale).slice(0, -1);
+    history.replaceState(history.state, '', `${prefix}${basePath}${window.location.search}${window.location.hash}`);
+    
+    const select = document.querySelector('[data-language-switcher] select');
+    if (select) {
+        select.value = locale.code;
+    }
+    
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: locale.code, messages } }));
+}
+
+function translatePage(messages, root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        parseI18nBindings(element.dataset.i18n).forEach(({ attribute, key }) => {
+            const value = getMessage(messages, key);
+            if (value === undefined) return;
+            
+            if (attribute) {
+                element.setAttribute(attribute, value);
+            } else {
+                element.textContent = value;
+            }
+        });
+    });
+}
+
+function readStoredLocale() {
+    try {
+        return localStorage.getItem(i18nConfig.storageKey);
+    } catch (error) {
+        return null;
+    }
+}
+
+function persistLocale(code) {
+    try {
+        localStorage.setItem(i18nConfig.storageKey, code);
+    } catch (error) {
+        // The cookie below still carries the choice
+    }
+    
+    const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+    document.cookie = `${i18nConfig.cookieName}=${encodeURIComponent(code)}; Max-Age=${i18nConfig.maxAge}; Path=/; SameSite=Lax${secure}`;
+}
+
+// ==========================================================================
+// Theme
+// ==========================================================================
+
+// The inline snippet in <head> applies the stored preference before the
+// first paint; this section keeps it up to date afterwards
+const themeConfig = {
+    storageKey: 'flowsync:theme',
+    preferences: ['light', 'dark', 'system'],
+    darkQuery: '(prefers-color-scheme: dark)'
+};
+
+function getThemePreference() {
+    const preference = document.documentElement.dataset.themePreference;
+    return themeConfig.preferences.includes(preference) ? preference : 'system';
+}
+
+function resolveTheme(preference) {
+    if (preference !== 'system') return preference;
+    return window.matchMedia?.(themeConfig.darkQuery).matches ? 'dark' : 'light';
+}
+
+// Applies a preference and emits "themechange" on document when the
+// effective theme or the preference changed. detail: { theme, preference }
+function setTheme(preference, options = {}) {
+    const root = document.documentElement;
+    const previous = { theme: root.dataset.theme, preference: root.dataset.themePreference };
+    const theme = resolveTheme(preference);
+    
+    root.dataset.theme = theme;
+    root.dataset.themePreference = preference;
+    
+    // Browser UI (address bar, overscroll) follows the page background
+    const themeColor = document.querySelector('meta[name="theme-color"]');
+    if (themeColor) {
+        themeColor.content = getComputedStyle(root).getPropertyValue('--color-background').trim() || themeColor.content;
+    }
+    
+    if (options.persist) {
+        try {
+            localStorage.setItem(themeConfig.storageKey, preference);
+        } catch (error) {
+            // The choice lasts for this page only
+        }
+    }
+    
+    if (previous.theme !== theme || previous.preference !== preference) {
+        document.dispatchEvent(new CustomEvent('themechange', { detail: { theme, preference } }));
+    }
+}
+
+function initializeThemeToggle() {
+    const toggle = document.querySelector('[data-theme-toggle]');
+    
+    if (toggle) {
+        toggle.hidden = false;
+        toggle.addEventListener('click', () => {
+            const { preferences } = themeConfig;
+            const next = preferences[(preferences.indexOf(getThemePreference()) + 1) % preferences.length];
+            setTheme(next, { persist: true });
+        });
+    }
+    
+    // Follow the operating system while the preference is "system"
+    window.matchMedia?.(themeConfig.darkQuery).addEventListener?.('change', () => {
+        if (getThemePreference() === 'system') {
+            setTheme('system');
+        }
+    });
+    
+    // Keep other open tabs in sync
+    window.addEventListener('storage', (e) => {
+        if (e.key === themeConfig.storageKey) {
+            setTheme(themeConfig.preferences.includes(e.newValue) ? e.newValue : 'system');
+        }
+    });
+    
+    setTheme(getThemePreference());
+}
+
+// ==========================================================================
+// Pricing Billing Toggle
+// ==========================================================================
+
+const BILLING_PERIODS = ['monthly', 'annual'];
+const BILLING_STORAGE_KEY = 'flowsync:billing';
+
+function getInitialBillingPeriod() {
+    const fromUrl = new URLSearchParams(window.location.search).get('billing');
+    if (BILLING_PERIODS.includes(fromUrl)) {
+        return fromUrl;
+    }
+    
+    try {
+        const stored = localStorage.getItem(BILLING_STORAGE_KEY);
+        if (BILLING_PERIODS.includes(stored)) {
+            return stored;
+        }
+    } catch (error) {
+        // localStorage can be unavailable (privacy mode, disabled storage)
+    }
+    
+    return 'monthly';
+}
+
+function persistBillingPeriod(period) {
+    const url = new URL(window.location.href);
+    url.searchParams.set('billing', period);
+    history.replaceState(history.state, '', url);
+    
+    try {
+        localStorage.setItem(BILLING_STORAGE_KEY, period);
+    } catch (error) {
+        // Persisting is best-effort; the URL still carries the choice
+    }
+}
+
+function initializePricingToggle() {
+    const toggle = document.querySelector('[data-billing-toggle]');
+    if (!toggle) return;
+    
+    const options = Array.from(toggle.querySelectorAll('[role="radio"][data-billing]'));
+    const discountLabel = toggle.querySelector('[data-billing-discount]');
+    
+    function applyBillingPeriod(period) {
+        // Prices follow the page's language, not the browser's
+        const locale = document.documentElement.lang || 'en';
+        
+        // Show the largest annual saving across plans next to the "Annual" option
+        const savings = Array.from(document.querySelectorAll('[data-price-monthly]')).map(amount => {
+            return 1 - Number(amount.dataset.priceAnnual) / Number(amount.dataset.priceMonthly);
+        });
+        if (discountLabel && savings.length > 0) {
+            const percent = new Intl.NumberFormat(locale, { style: 'percent' }).format(Math.round(Math.max(...savings) * 100) / 100);
+            discountLabel.textContent = formatMessage(discountLabel.dataset.template, { percent });
+        }
+        
+        options.forEach(option => {
+            const isSelected = option.dataset.billing === period;
+            option.setAttribute('aria-checked', isSelected);
+            option.tabIndex = isSelected ? 0 : -1;
+        });
+        
+        document.querySelectorAll('.pricing-card').forEach(card => {
+            const amount = card.querySelector('[data-price-monthly]');
+            if (amount) {
+                const price = Number(period === 'annual' ? amount.dataset.priceAnnual : amount.dataset.priceMonthly);
+                amount.textContent = formatPrice(price, amount.dataset.currency, locale);
+            }
+            
+            const billingNote = card.querySelector('.pricing-card-billing');
+            if (billingNote) {
+                billingNote.hidden = period !== 'annual';
+            }
         });
+        
+        document.querySelectorAll('a[data-plan]').forEach(link => updatePlanLink(link, link.dataset.plan, period));
+    }
+    
+    function selectBillingPeriod(period, moveFocus) {
+        applyBillingPeriod(period);
+        persistBillingPeriod(period);
+        
+        if (moveFocus) {
+            options.find(option => option.dataset.billing === period)?.focus();
+        }
     }
+    
+    options.forEach(option => {
+        option.addEventListener('click', () => selectBillingPeriod(option.dataset.billing, false));
+    });
+    
+    // Radiogroup keyboard pattern: arrow keys move and select
+    toggle.addEventListener('keydown', (e) => {
+        const keys = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'];
+        if (!keys.includes(e.key)) return;
+        
+        e.preventDefault();
+        const step = e.key === 'ArrowLeft' || e.key === 'ArrowUp' ? -1 : 1;
+        const current = options.findIndex(option => option.getAttribute('aria-checked') === 'true');
+        const next = options[(current + step + options.length) % options.length];
+        selectBillingPeriod(next.dataset.billing, true);
+    });
+    
+    // Pass the chosen plan on to any form with matching fields
+    document.addEventListener('click', (e) => {
+        const cta = e.target.closest('a[data-plan]');
+        if (cta) {
+            prefillPlanFields(cta.dataset.plan, cta.dataset.billing);
+        }
+    });
+    
+    // Reformat prices and the saving for the new language
+    document.addEventListener('localechange', () => {
+        const selected = options.find(option => option.getAttribute('aria-checked') === 'true');
+        applyBillingPeriod(selected ? selected.dataset.billing : getInitialBillingPeriod());
+    });
+    
+    toggle.hidden = false;
+    applyBillingPeriod(getInitialBillingPeriod());
+}
+
+// Plan CTAs (pricing cards, the hero) lead to the contact form. In-page CTAs
+// keep their fragment and carry the selection in data attributes; links to
+// other pages also get ?plan=&billing= query parameters
+function updatePlanLink(link, plan, period) {
+    link.dataset.billing = period;
+    
+    const href = link.getAttribute('href');
+    if (!href || href.startsWith('#')) return;
+    
+    const url = new URL(href, window.location.href);
+    url.searchParams.set('plan', plan);
+    url.searchParams.set('billing', period);
+    link.href = url.href;
+}
+
+function prefillPlanFields(plan, period) {
+    document.querySelectorAll('form [name="plan"]').forEach(field => { field.value = plan; });
+    document.querySelectorAll('form [name="billing"]').forEach(field => { field.value = period; });
 }
 
 // ==========================================================================
@@ -81,17 +498,11 @@ function initializeSmoothScrolling() {
                 e.preventDefault();
                 
                 // Close mobile menu if open
-                const navbarMenu = document.getElementById('navbar-menu');
-                const navbarToggle = document.getElementById('navbar-toggle');
-                if (navbarMenu?.classList.contains('is-active')) {
-                    navbarMenu.classList.remove('is-active');
-                    navbarToggle?.classList.remove('is-active');
-                    navbarToggle?.setAttribute('aria-expanded', 'false');
-                }
+                closeNavigationMenu();
                 
-                // Smooth scroll to target
+                // Smooth scroll to target (instant when motion is reduced)
                 targetElement.scrollIntoView({
-                    behavior: 'smooth',
+                    behavior: prefersReducedMotion() ? 'auto' : 'smooth',
                     block: 'start'
                 });
                 
@@ -151,171 +562,1260 @@ function initializeScrollEffects() {
 }
 
 // ==========================================================================
-// Form Handlers
+// Scroll Spy
 // ==========================================================================
 
-function initializeFormHandlers() {
-    // Example form handler for future contact forms
-    const forms = document.querySelectorAll('form[data-form-type]');
-    
-    forms.forEach(form => {
-        form.addEventListener('submit', handleFormSubmission);
-    });
-}
+const scrollSpyState = {
+    activeId: null
+};
 
-async function handleFormSubmission(e) {
-    e.preventDefault();
-    
-    const form = e.target;
-    const formData = new FormData(form);
-    const formType = form.dataset.formType;
+// Marks the nav link of the section in view with aria-current and mirrors
+// it in the URL hash without adding history entries
+function initializeScrollSpy() {
+    const links = Array.from(document.querySelectorAll('.navbar-nav .nav-link[href^="#"]'));
+    const sections = links
+        .map(link => document.getElementById(link.getAttribute('href').slice(1)))
+        .filter(Boolean);
     
-    // Disable form during submission
-    const submitButton = form.querySelector('button[type="submit"]');
-    const originalText = submitButton?.textContent;
+    if (sections.length === 0 || !('IntersectionObserver' in window)) return;
     
-    if (submitButton) {
-        submitButton.disabled = true;
-        submitButton.textContent = 'Sending...';
-    }
+    const visible = new Set();
+    const headerHeight = document.querySelector('.header')?.offsetHeight || 0;
     
-    try {
-        // Example API call (replace with actual endpoint)
-        const response = await fetch(`/api/${formType}`, {
-            method: 'POST',
-            body: formData,
-            headers: {
-                'X-Requested-With': 'XMLHttpRequest'
+    // A section counts as current while it overlaps the band between the
+    // fixed header and the middle of the viewport
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                visible.add(entry.target);
+            } else {
+                visible.delete(entry.target);
             }
         });
         
-        if (response.ok) {
-            showNotification('Thank you! Your message has been sent.', 'success');
-            form.reset();
+        const active = sections.find(section => visible.has(section));
+        setActiveNavLink(links, active ? active.id : null);
+    }, { rootMargin: `-${headerHeight}px 0px -50% 0px` });
+    
+    sections.forEach(section => observer.observe(section));
+}
+
+function setActiveNavLink(links, id) {
+    if (scrollSpyState.activeId === id) return;
+    scrollSpyState.activeId = id;
+    
+    links.forEach(link => {
+        if (id && link.getAttribute('href') === `#${id}`) {
+            link.setAttribute('aria-current', 'location');
         } else {
-            throw new Error('Failed to send message');
-        }
-        
-    } catch (error) {
-        console.error('Form submission error:', error);
-        showNotification('Sorry, there was an error sending your message. Please try again.', 'error');
-        
-    } finally {
-        // Re-enable form
-        if (submitButton) {
-            submitButton.disabled = false;
-            submitButton.textContent = originalText;
+            link.removeAttribute('aria-current');
         }
-    }
+    });
+    
+    // Back above the first tracked section (the hero): drop the hash
+    const url = id ? `#${id}` : `${window.location.pathname}${window.location.search}`;
+    history.replaceState(history.state, '', url);
 }
 
 // ==========================================================================
-// Notification System
+// Reveal on Scroll
 // ==========================================================================
 
-function showNotification(message, type = 'info') {
-    // Create notification element
-    const notification = document.createElement('div');
-    notification.className = `notification notification--${type}`;
-    notification.textContent = message;
-    
-    // Style the notification
-    Object.assign(notification.style, {
-        position: 'fixed',
-        top: '20px',
-        right: '20px',
-        padding: '16px 24px',
-        borderRadius: '8px',
-        color: 'white',
-        fontWeight: '500',
-        zIndex: '9999',
-        transform: 'translateX(400px)',
-        transition: 'transform 0.3s ease-in-out',
-        maxWidth: '400px',
-        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)'
-    });
-    
-    // Set background color based on type
-    const colors = {
-        success: '#28a745',
-        error: '#dc3545',
-        warning: '#ffc107',
-        info: '#17a2b8'
-    };
-    notification.style.backgroundColor = colors[type] || colors.info;
+// Elements marked data-reveal ("fade", "up", "left", "right" or "zoom")
+// animate in the first time they scroll into view. data-reveal-delay adds a
+// delay in milliseconds.
+function initializeReveal() {
+    const elements = document.querySelectorAll('[data-reveal]');
     
-    // Add to DOM
-    document.body.appendChild(notification);
-    
-    // Animate in
-    requestAnimationFrame(() => {
-        notification.style.transform = 'translateX(0)';
-    });
+    // Without observer support or with reduced motion everything stays visible
+    if (elements.length === 0 || !('IntersectionObserver' in window) || prefersReducedMotion()) return;
     
-    // Auto remove after 5 seconds
-    setTimeout(() => {
-        notification.style.transform = 'translateX(400px)';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.classList.add('is-revealed');
+                observer.unobserve(entry.target);
             }
-        }, 300);
-    }, 5000);
+        });
+    }, { rootMargin: '0px 0px -10% 0px' }); // Fire once an element is 10% into the viewport, whatever its size
     
-    // Allow manual dismissal on click
-    notification.addEventListener('click', () => {
-        notification.style.transform = 'translateX(400px)';
-        setTimeout(() => {
-            if (notification.parentNode) {
-                notification.parentNode.removeChild(notification);
-            }
-        }, 300);
+    elements.forEach(element => {
+        const delay = parseInt(element.dataset.revealDelay, 10);
+        if (delay > 0) {
+            element.style.setProperty('--reveal-delay', `${delay}ms`);
+        }
+        observer.observe(element);
     });
+    
+    document.documentElement.classList.add('reveal-ready');
 }
 
 // ==========================================================================
-// Async Component Initialization
+// Modal Dialogs
 // ==========================================================================
 
-async function initializeAsyncComponents() {
-    try {
-        // Example: Load and initialize components that require async operations
-        await initializeAnalytics();
-        await loadExternalWidgets();
+// Markup: an element with role="dialog" and aria-modal="true" that starts
+// [hidden]. The element itself is the backdrop; its first child holds the
+// content. Any [data-modal-open="<id>"] opens it and [data-modal-close]
+// inside it closes it.
+const modalConfig = {
+    openClass: 'is-open',
+    scrollLockClass: 'modal-open'
+};
+
+const modalState = {
+    // Open modals, topmost last: [{ modal, returnFocus, inerted }]
+    stack: []
+};
+
+function initializeModals() {
+    document.addEventListener('click', (e) => {
+        const opener = e.target.closest('[data-modal-open]');
+        if (opener) {
+            e.preventDefault();
+            openModal(document.getElementById(opener.dataset.modalOpen), { returnFocus: opener });
+            return;
+        }
         
-    } catch (error) {
-        console.warn('Some async components failed to initialize:', error);
-    }
+        const closer = e.target.closest('[data-modal-close]');
+        if (closer) {
+            closeModal(closer.closest('[aria-modal="true"]'));
+        }
+    });
+    
+    // Backdrop clicks close the modal, but only when the press started on
+    // the backdrop too, so selecting text and releasing outside does not
+    let pressTarget = null;
+    document.addEventListener('pointerdown', (e) => {
+        pressTarget = e.target;
+    });
+    document.addEventListener('click', (e) => {
+        const top = getTopModal();
+        if (top && e.target === top && pressTarget === top) {
+            closeModal(top);
+        }
+    });
+    
+    document.addEventListener('keydown', (e) => {
+        const top = getTopModal();
+        if (!top) return;
+        
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeModal(top);
+        } else if (e.key === 'Tab') {
+            trapFocus(e, getFocusableElements(top), top);
+        }
+    });
 }
 
-async function initializeAnalytics() {
-    // Example: Initialize analytics (Google Analytics, etc.)
-    // This is where you'd load your analytics code
-    return new Promise(resolve => {
-        setTimeout(() => {
-            console.log('Analytics initialized');
-            resolve();
-        }, 100);
-    });
+function getTopModal() {
+    const entry = modalState.stack[modalState.stack.length - 1];
+    return entry ? entry.modal : null;
 }
 
-async function loadExternalWidgets() {
-    // Example: Load external widgets or third-party scripts
-    // This could include chat widgets, social media embeds, etc.
-    return new Promise(resolve => {
-        setTimeout(() => {
-            console.log('External widgets loaded');
-            resolve();
-        }, 200);
+// Opens a modal on top of any that are already open. Focus moves to the
+// first [autofocus] element, else the first focusable one, else the dialog.
+function openModal(modal, options = {}) {
+    if (!modal || modalState.stack.some(entry => entry.modal === modal)) return;
+    
+    if (modalState.stack.length === 0) {
+        closeNavigationMenu();
+        lockScroll();
+    }
+    
+    modalState.stack.push({
+        modal,
+        returnFocus: options.returnFocus || document.activeElement,
+        inerted: setInertOutside(modal)
     });
+    
+    modal.style.setProperty('--modal-depth', modalState.stack.length - 1);
+    modal.hidden = false;
+    modal.classList.add(modalConfig.openClass);
+    
+    const target = modal.querySelector('[autofocus]') || getFocusableElements(modal)[0];
+    if (target) {
+        target.focus();
+    } else {
+        modal.setAttribute('tabindex', '-1');
+        modal.focus();
+    }
+    
+    modal.dispatchEvent(new CustomEvent('modalopen', { bubbles: true }));
 }
 
-// ==========================================================================
-// Utility Functions
-// ==========================================================================
-
-// Debounce function for performance optimization
-function debounce(func, wait, immediate) {
+// Closing a modal also closes any opened above it
+function closeModal(modal) {
+    const index = modalState.stack.findIndex(entry => entry.modal === modal);
+    if (index === -1) return;
+    
+    while (modalState.stack.length > index) {
+        const { modal: current, returnFocus, inerted } = modalState.stack.pop();
+        
+        current.classList.remove(modalConfig.openClass);
+        current.hidden = true;
+        inerted.forEach(element => { element.inert = false; });
+        
+        if (modalState.stack.length === 0) {
+            unlockScroll();
+        }
+        if (returnFocus?.isConnected) {
+            returnFocus.focus();
+        }
+        
+        current.dispatchEvent(new CustomEvent('modalclose', { bubbles: true }));
+    }
+}
+
+// Makes everything outside the modal inert: the siblings of the modal and
+// of each of its ancestors. Returns the elements it changed so closing
+// restores exactly those, leaving anything inert for other reasons alone.
+function setInertOutside(modal) {
+    const inerted = [];
+    
+    for (let node = modal; node && node !== document.body; node = node.parentElement) {
+        Array.from(node.parentElement?.children || []).forEach(sibling => {
+            // Live regions stay active so notifications are still announced,
+            // and the notification stack so their buttons (Retry) still work
+            if (sibling === node || sibling.inert || sibling.matches('script, [aria-live], .notification-stack')) return;
+            sibling.inert = true;
+            inerted.push(sibling);
+        });
+    }
+    
+    return inerted;
+}
+
+// Hides the page scrollbar while a modal is open, padding the body by its
+// width so the layout does not shift
+function lockScroll() {
+    const root = document.documentElement;
+    root.style.setProperty('--scrollbar-width', `${window.innerWidth - root.clientWidth}px`);
+    root.classList.add(modalConfig.scrollLockClass);
+}
+
+function unlockScroll() {
+    const root = document.documentElement;
+    root.classList.remove(modalConfig.scrollLockClass);
+    root.style.removeProperty('--scrollbar-width');
+}
+
+// ==========================================================================
+// Focus Management
+// ==========================================================================
+
+const FOCUSABLE_SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled]):not([type="hidden"])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    'iframe',
+    'audio[controls]',
+    'video[controls]',
+    '[contenteditable]:not([contenteditable="false"])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Focusable descendants in tab order, skipping hidden and inert ones
+function getFocusableElements(container) {
+    return Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR)).filter(element =>
+        !element.closest('[hidden], [inert]') && element.getClientRects().length > 0
+    );
+}
+
+// Keeps a Tab keydown inside elements, wrapping from the last to the first
+// and back. Focus that has escaped (or never entered) is pulled back in;
+// with nothing focusable, focus stays on fallback.
+function trapFocus(event, elements, fallback) {
+    if (elements.length === 0) {
+        event.preventDefault();
+        fallback?.focus();
+        return;
+    }
+    
+    const first = elements[0];
+    const last = elements[elements.length - 1];
+    const current = elements.indexOf(document.activeElement);
+    
+    if (event.shiftKey && current <= 0) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && (current === -1 || current === elements.length - 1)) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+// ==========================================================================
+// Demo Video
+// ==========================================================================
+
+// The video's <source> elements carry data-src until the dialog is first
+// opened, so visitors who never watch it do not download it
+function initializeDemoVideo() {
+    const modal = document.getElementById('demo-modal');
+    const video = modal?.querySelector('[data-demo-video]');
+    if (!video) return;
+    
+    const errorMessage = modal.querySelector('[data-demo-video-error]');
+    const sources = Array.from(video.querySelectorAll('source[data-src]'));
+    
+    // The video errors on the last <source> once every source has failed
+    sources[sources.length - 1]?.addEventListener('error', () => {
+        video.hidden = true;
+        if (errorMessage) errorMessage.hidden = false;
+    });
+    
+    modal.addEventListener('modalopen', () => {
+        if (sources.some(source => !source.src)) {
+            sources.forEach(source => { source.src = source.dataset.src; });
+            video.load();
+        }
+        if (!video.hidden) {
+            video.play().catch(() => {}); // Autoplay may be blocked; the controls still work
+        }
+    });
+    
+    modal.addEventListener('modalclose', () => video.pause());
+    
+    video.addEventListener('play', () => trackEvent('video_play', { video: 'demo' }), { once: true });
+}
+
+// ==========================================================================
+// Data-driven Sections
+// ==========================================================================
+
+async function initializeSections() {
+    // Containers prerendered by the build already hold their cards
+    const containers = document.querySelectorAll('[data-render]:not([data-prerendered])');
+    
+    await Promise.all(Array.from(containers).map(renderSection));
+}
+
+async function renderSection(container) {
+    const section = sectionRenderers[container.dataset.render];
+    if (!section) {
+        console.warn(`Unknown section renderer: ${container.dataset.render}`);
+        return;
+    }
+    
+    container.setAttribute('aria-busy', 'true');
+    
+    try {
+        const [response, translate] = await Promise.all([fetch(section.source), getTranslator()]);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${section.source} (${response.status})`);
+        }
+        
+        container.innerHTML = section.render(await response.json(), translate);
+        
+    } catch (error) {
+        console.error('Section rendering error:', error);
+        container.innerHTML = `<p class="section-error">${escapeHtml(t('errors.section', 'This section could not be loaded. Please refresh the page.'))}</p>`;
+        
+    } finally {
+        container.removeAttribute('aria-busy');
+    }
+}
+
+// ==========================================================================
+// Form Handlers
+// ==========================================================================
+
+function initializeFormHandlers() {
+    const forms = document.querySelectorAll('form[data-form-type]');
+    
+    forms.forEach(form => {
+        initializeFormValidation(form);
+        form.addEventListener('submit', handleFormSubmission);
+    });
+}
+
+async function handleFormSubmission(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    
+    // Block submission until every field passes client-side validation
+    if (!validateForm(form)) {
+        return;
+    }
+    
+    const formData = new FormData(form);
+    const formType = form.dataset.formType;
+    
+    // Disable form during submission
+    const submitButton = form.querySelector('button[type="submit"]');
+    const originalText = submitButton?.textContent;
+    
+    if (submitButton) {
+        submitButton.disabled = true;
+        submitButton.textContent = t('forms.sending', 'Sending...');
+    }
+    
+    try {
+        const response = await fetch(`/api/${formType}`, {
+            method: 'POST',
+            body: formData,
+            headers: {
+                'X-Requested-With': 'XMLHttpRequest'
+            }
+        });
+        
+        if (response.ok) {
+            trackEvent('form_submit', { form: formType, status: 'success' });
+            // Forms can bring their own (localized) success message
+            showNotification(form.dataset.successMessage || t('forms.success', 'Thank you! Your message has been sent.'), 'success');
+            form.reset();
+            clearFormErrors(form);
+            closeModal(form.closest('[aria-modal="true"]'));
+            return;
+        }
+        
+        const payload = await response.json().catch(() => null);
+        const fieldErrors = payload?.error?.fields;
+        
+        // Map server-side validation errors back onto the matching fields
+        if (fieldErrors && applyFieldErrors(form, fieldErrors)) {
+            trackEvent('form_submit', { form: formType, status: 'invalid' });
+            showNotification(t('forms.invalid', 'Please correct the highlighted fields.'), 'warning');
+            return;
+        }
+        
+        throw new Error(payload?.error?.message || 'Failed to send message');
+        
+    } catch (error) {
+        console.error('Form submission error:', error);
+        trackEvent('form_submit', { form: formType, status: 'error' });
+        showNotification(t('forms.error', 'Sorry, there was an error sending your message. Please try again.'), 'error', {
+            actions: [{ label: t('forms.retry', 'Retry'), onClick: () => form.requestSubmit() }]
+        });
+        
+    } finally {
+        // Re-enable form
+        if (submitButton) {
+            submitButton.disabled = false;
+            submitButton.textContent = originalText;
+        }
+    }
+}
+
+// ==========================================================================
+// Form Validation
+// ==========================================================================
+
+// Rules are declared in the markup: native attributes (required, type="email",
+// minlength, maxlength, pattern) and data-validate-* equivalents, plus
+// data-validate-match="<other field name>" for cross-field checks.
+// Messages can be overridden per rule with data-validate-<rule>-message.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const validationRules = [
+    {
+        name: 'required',
+        applies: field => field.required || field.hasAttribute('data-validate-required'),
+        test: (value, field) => field.type === 'checkbox' ? field.checked : value.trim() !== '',
+        message: label => t('validation.required', '{label} is required', { label })
+    },
+    {
+        name: 'email',
+        applies: field => field.type === 'email' || field.hasAttribute('data-validate-email'),
+        test: value => EMAIL_PATTERN.test(value.trim()),
+        message: label => t('validation.email', '{label} must be a valid email address', { label })
+    },
+    {
+        name: 'min-length',
+        applies: field => getRuleParam(field, 'minlength', 'min-length') !== null,
+        test: (value, field) => value.trim().length >= Number(getRuleParam(field, 'minlength', 'min-length')),
+        message: (label, field) => t('validation.minLength', '{label} must be at least {count} characters', { label, count: getRuleParam(field, 'minlength', 'min-length') })
+    },
+    {
+        name: 'max-length',
+        applies: field => getRuleParam(field, 'maxlength', 'max-length') !== null,
+        test: (value, field) => value.trim().length <= Number(getRuleParam(field, 'maxlength', 'max-length')),
+        message: (label, field) => t('validation.maxLength', '{label} must be at most {count} characters', { label, count: getRuleParam(field, 'maxlength', 'max-length') })
+    },
+    {
+        name: 'pattern',
+        applies: field => getRuleParam(field, 'pattern', 'pattern') !== null,
+        test: (value, field) => new RegExp(`^(?:${getRuleParam(field, 'pattern', 'pattern')})$`).test(value),
+        message: label => t('validation.pattern', '{label} is not in the expected format', { label })
+    },
+    {
+        name: 'match',
+        applies: field => field.hasAttribute('data-validate-match'),
+        test: (value, field) => {
+            const other = field.form.elements.namedItem(field.dataset.validateMatch);
+            return !other || value === other.value;
+        },
+        message: (label, field) => {
+            const other = field.form.elements.namedItem(field.dataset.validateMatch);
+            return t('validation.match', '{label} must match {other}', { label, other: other ? getFieldLabel(other) : field.dataset.validateMatch });
+        }
+    }
+];
+
+function getRuleParam(field, attribute, dataName) {
+    const dataAttribute = `data-validate-${dataName}`;
+    if (field.hasAttribute(dataAttribute)) return field.getAttribute(dataAttribute);
+    if (field.hasAttribute(attribute)) return field.getAttribute(attribute);
+    return null;
+}
+
+function getFieldLabel(field) {
+    const label = field.labels?.[0]?.textContent || field.getAttribute('aria-label') || field.name;
+    return label.replace(/\s*\*\s*$/, '').trim();
+}
+
+function getValidatableFields(form) {
+    return Array.from(form.elements).filter(field => {
+        return field.name && !field.disabled && !['submit', 'button', 'reset', 'hidden'].includes(field.type);
+    });
+}
+
+// Returns the first failing rule's message, or an empty string when valid
+function validateField(field) {
+    const value = field.value || '';
+    
+    for (const rule of validationRules) {
+        if (!rule.applies(field)) continue;
+        
+        // Optional fields are only checked once they have a value
+        if (rule.name !== 'required' && value.trim() === '') continue;
+        
+        if (!rule.test(value, field)) {
+            return field.getAttribute(`data-validate-${rule.name}-message`) || rule.message(getFieldLabel(field), field);
+        }
+    }
+    
+    return '';
+}
+
+function getErrorElement(field, create) {
+    const errorId = `${field.id || `${field.form.id || 'form'}-${field.name}`}-error`;
+    let errorElement = document.getElementById(errorId);
+    
+    if (!errorElement && create) {
+        errorElement = document.createElement('p');
+        errorElement.id = errorId;
+        errorElement.className = 'form-error';
+        
+        const container = field.closest('.form-field');
+        if (container) {
+            container.appendChild(errorElement);
+        } else {
+            field.after(errorElement);
+        }
+    }
+    
+    return errorElement;
+}
+
+function setFieldError(field, message) {
+    const errorElement = getErrorElement(field, Boolean(message));
+    let describedBy = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+    
+    if (message) {
+        errorElement.textContent = message;
+        field.setAttribute('aria-invalid', 'true');
+        if (!describedBy.includes(errorElement.id)) {
+            describedBy.push(errorElement.id);
+        }
+    } else {
+        field.removeAttribute('aria-invalid');
+        if (errorElement) {
+            errorElement.remove();
+            describedBy = describedBy.filter(id => id !== errorElement.id);
+        }
+    }
+    
+    if (describedBy.length > 0) {
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+        field.removeAttribute('aria-describedby');
+    }
+}
+
+function validateForm(form) {
+    const invalidFields = getValidatableFields(form).filter(field => {
+        const message = validateField(field);
+        setFieldError(field, message);
+        return Boolean(message);
+    });
+    
+    invalidFields[0]?.focus();
+    return invalidFields.length === 0;
+}
+
+function clearFormErrors(form) {
+    getValidatableFields(form).forEach(field => setFieldError(field, ''));
+}
+
+// Returns true when at least one error matched a field in the form
+function applyFieldErrors(form, fieldErrors) {
+    const matched = Object.keys(fieldErrors)
+        .map(name => form.elements.namedItem(name))
+        .filter(field => field && field.name);
+    
+    matched.forEach(field => setFieldError(field, fieldErrors[field.name]));
+    matched[0]?.focus();
+    
+    return matched.length > 0;
+}
+
+function initializeFormValidation(form) {
+    // Our inline messages replace the browser's validation bubbles
+    form.noValidate = true;
+    
+    getValidatableFields(form).forEach(field => {
+        field.addEventListener('blur', () => {
+            setFieldError(field, validateField(field));
+        });
+        
+        // Once a field shows an error, re-check it as the user types
+        field.addEventListener('input', () => {
+            if (field.getAttribute('aria-invalid') === 'true') {
+                setFieldError(field, validateField(field));
+            }
+            
+            // Keep dependent match fields in sync
+            getValidatableFields(form)
+                .filter(other => other.dataset.validateMatch === field.name && other.getAttribute('aria-invalid') === 'true')
+                .forEach(other => setFieldError(other, validateField(other)));
+        });
+    });
+    
+    // Messages on screen follow a language switch
+    document.addEventListener('localechange', () => {
+        getValidatableFields(form)
+            .filter(field => field.getAttribute('aria-invalid') === 'true')
+            .forEach(field => setFieldError(field, validateField(field)));
+    });
+}
+
+// ==========================================================================
+// Notification System
+// ==========================================================================
+
+const notificationConfig = {
+    maxVisible: 3,
+    // Milliseconds before auto-dismissal; 0 keeps the notification until dismissed
+    durations: {
+        success: 5000,
+        info: 5000,
+        warning: 7000,
+        error: 10000
+    },
+    // Errors interrupt screen readers, everything else waits its turn
+    politeness: {
+        success: 'polite',
+        info: 'polite',
+        warning: 'polite',
+        error: 'assertive'
+    },
+    exitDuration: 300
+};
+
+const notificationState = {
+    container: null,
+    liveRegions: {},
+    visible: [],
+    queue: []
+};
+
+function getNotificationContainer() {
+    if (!notificationState.container) {
+        const container = document.createElement('div');
+        container.className = 'notification-stack';
+        document.body.appendChild(container);
+        
+        // Visually hidden live regions announce notifications; they exist
+        // before any text is added so screen readers pick up the changes
+        ['polite', 'assertive'].forEach(politeness => {
+            const region = document.createElement('div');
+            region.className = 'sr-only';
+            region.setAttribute('aria-live', politeness);
+            region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+            document.body.appendChild(region);
+            notificationState.liveRegions[politeness] = region;
+        });
+        
+        notificationState.container = container;
+    }
+    
+    return notificationState.container;
+}
+
+function announceNotification(message, type) {
+    const region = notificationState.liveRegions[notificationConfig.politeness[type] || 'polite'];
+    
+    // Each announcement is its own node so rapid or repeated messages are
+    // all read out; nodes are cleaned up once they have been announced
+    const item = document.createElement('p');
+    item.textContent = message;
+    region.appendChild(item);
+    setTimeout(() => item.remove(), notificationConfig.durations.info);
+}
+
+function showNotification(message, type = 'info', options = {}) {
+    const notification = {
+        message,
+        type,
+        duration: options.duration ?? notificationConfig.durations[type] ?? notificationConfig.durations.info,
+        actions: options.actions || [],
+        handle: null,
+        element: null,
+        shown: false,
+        timer: null,
+        remaining: 0,
+        startedAt: 0,
+        dismissed: false
+    };
+    
+    notification.handle = {
+        dismiss: () => dismissNotification(notification),
+        update: (changes) => updateNotification(notification, changes)
+    };
+    
+    if (notificationState.visible.length < notificationConfig.maxVisible) {
+        displayNotification(notification);
+    } else {
+        notificationState.queue.push(notification);
+    }
+    
+    return notification.handle;
+}
+
+function renderNotification(notification) {
+    const element = notification.element;
+    element.className = `notification notification--${notification.type}`;
+    element.classList.toggle('is-visible', notification.shown);
+    element.replaceChildren();
+    
+    const messageElement = document.createElement('p');
+    messageElement.className = 'notification-message';
+    messageElement.textContent = notification.message;
+    element.appendChild(messageElement);
+    
+    if (notification.actions.length > 0) {
+        const actions = document.createElement('div');
+        actions.className = 'notification-actions';
+        
+        notification.actions.forEach(action => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'notification-action';
+            button.textContent = action.label;
+            button.addEventListener('click', () => {
+                if (notification.dismissed) return;
+                action.onClick?.(notification.handle);
+                if (action.dismiss !== false) {
+                    dismissNotification(notification);
+                }
+            });
+            actions.appendChild(button);
+        });
+        
+        element.appendChild(actions);
+    }
+    
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'notification-close';
+    closeButton.setAttribute('aria-label', t('notifications.dismiss', 'Dismiss notification'));
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => dismissNotification(notification));
+    element.appendChild(closeButton);
+}
+
+function displayNotification(notification) {
+    const element = document.createElement('div');
+    notification.element = element;
+    renderNotification(notification);
+    
+    // Pause auto-dismissal while the user is reading or interacting
+    element.addEventListener('mouseenter', () => pauseNotification(notification));
+    element.addEventListener('mouseleave', () => resumeNotification(notification));
+    element.addEventListener('focusin', () => pauseNotification(notification));
+    element.addEventListener('focusout', (e) => {
+        if (!element.contains(e.relatedTarget)) {
+            resumeNotification(notification);
+        }
+    });
+    
+    getNotificationContainer().appendChild(element);
+    notificationState.visible.push(notification);
+    announceNotification(notification.message, notification.type);
+    
+    // Animate in
+    requestAnimationFrame(() => {
+        notification.shown = true;
+        element.classList.add('is-visible');
+    });
+    
+    notification.remaining = notification.duration;
+    resumeNotification(notification);
+}
+
+function pauseNotification(notification) {
+    if (!notification.timer) return;
+    
+    clearTimeout(notification.timer);
+    notification.timer = null;
+    notification.remaining -= Date.now() - notification.startedAt;
+}
+
+function resumeNotification(notification) {
+    if (notification.timer || notification.dismissed || notification.duration <= 0) return;
+    
+    notification.startedAt = Date.now();
+    notification.timer = setTimeout(() => dismissNotification(notification), Math.max(notification.remaining, 0));
+}
+
+function updateNotification(notification, changes = {}) {
+    if (notification.dismissed) return;
+    
+    const typeChanged = changes.type && changes.type !== notification.type;
+    Object.assign(notification, changes);
+    
+    if (changes.duration === undefined && typeChanged) {
+        notification.duration = notificationConfig.durations[notification.type] ?? notificationConfig.durations.info;
+    }
+    
+    // Queued notifications pick up the changes when they are displayed
+    if (!notification.element) return;
+    
+    renderNotification(notification);
+    
+    if (changes.message || typeChanged) {
+        announceNotification(notification.message, notification.type);
+    }
+    
+    // Restart the countdown with the (possibly new) duration
+    clearTimeout(notification.timer);
+    notification.timer = null;
+    notification.remaining = notification.duration;
+    if (!notification.element.matches(':hover, :focus-within')) {
+        resumeNotification(notification);
+    }
+}
+
+function dismissNotification(notification) {
+    if (notification.dismissed) return;
+    notification.dismissed = true;
+    clearTimeout(notification.timer);
+    
+    if (!notification.element) {
+        notificationState.queue = notificationState.queue.filter(item => item !== notification);
+        return;
+    }
+    
+    const element = notification.element;
+    element.classList.remove('is-visible');
+    notificationState.visible = notificationState.visible.filter(item => item !== notification);
+    
+    setTimeout(() => {
+        element.remove();
+    }, notificationConfig.exitDuration);
+    
+    // Promote the next queued notification into the freed slot
+    const next = notificationState.queue.shift();
+    if (next) {
+        displayNotification(next);
+    }
+}
+
+// ==========================================================================
+// Consent Manager
+// ==========================================================================
+
+// Bump version when categories or their meaning change; stored choices from
+// an older version are discarded and the banner is shown again
+const consentConfig = {
+    version: 1,
+    storageKey: 'flowsync:consent',
+    cookieName: 'flowsync_consent',
+    maxAge: 60 * 60 * 24 * 180, // 180 days, in seconds
+    categories: ['necessary', 'analytics', 'marketing']
+};
+
+const consentState = {
+    choices: null, // null until the visitor has decided
+    grantListeners: {},
+    revokeListeners: {}
+};
+
+function hasConsent(category) {
+    return category === 'necessary' || Boolean(consentState.choices?.[category]);
+}
+
+// Runs fn whenever category is granted, immediately if it already is.
+// Returns a function that removes the listener.
+function onConsent(category, fn) {
+    (consentState.grantListeners[category] = consentState.grantListeners[category] || []).push(fn);
+    
+    if (hasConsent(category)) {
+        runConsentListeners([fn]);
+    }
+    
+    return () => {
+        consentState.grantListeners[category] = consentState.grantListeners[category].filter(listener => listener !== fn);
+    };
+}
+
+function onConsentRevoked(category, fn) {
+    (consentState.revokeListeners[category] = consentState.revokeListeners[category] || []).push(fn);
+}
+
+function runConsentListeners(listeners) {
+    listeners.forEach(fn => {
+        Promise.resolve()
+            .then(fn)
+            .catch(error => console.warn('Consent callback failed:', error));
+    });
+}
+
+function readStoredConsent() {
+    let raw = null;
+    
+    try {
+        raw = localStorage.getItem(consentConfig.storageKey);
+    } catch (error) {
+        // Storage can be unavailable (privacy mode); fall back to the cookie
+    }
+    
+    if (!raw) {
+        const prefix = `${consentConfig.cookieName}=`;
+        const cookie = document.cookie.split('; ').find(part => part.startsWith(prefix));
+        raw = cookie ? decodeURIComponent(cookie.slice(prefix.length)) : null;
+    }
+    
+    try {
+        const stored = JSON.parse(raw);
+        return stored?.version === consentConfig.version ? stored.choices : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function writeStoredConsent(choices) {
+    const record = JSON.stringify({
+        version: consentConfig.version,
+        choices,
+        updatedAt: new Date().toISOString()
+    });
+    
+    try {
+        localStorage.setItem(consentConfig.storageKey, record);
+    } catch (error) {
+        // The cookie below still carries the choice
+    }
+    
+    const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+    document.cookie = `${consentConfig.cookieName}=${encodeURIComponent(record)}; Max-Age=${consentConfig.maxAge}; Path=/; SameSite=Lax${secure}`;
+}
+
+function setConsent(choices) {
+    const previous = consentState.choices || {};
+    const next = {};
+    consentConfig.categories.forEach(category => {
+        next[category] = category === 'necessary' || Boolean(choices[category]);
+    });
+    
+    consentState.choices = next;
+    writeStoredConsent(next);
+    hideConsentBanner();
+    
+    consentConfig.categories.forEach(category => {
+        if (next[category] && !previous[category]) {
+            runConsentListeners(consentState.grantListeners[category] || []);
+        } else if (!next[category] && previous[category]) {
+            runConsentListeners(consentState.revokeListeners[category] || []);
+        }
+    });
+    
+    document.dispatchEvent(new CustomEvent('consentchange', { detail: { choices: next } }));
+}
+
+function initializeConsent() {
+    consentState.choices = readStoredConsent();
+    
+    const banner = document.getElementById('consent-banner');
+    const dialog = document.getElementById('consent-dialog');
+    
+    if (banner && !consentState.choices) {
+        banner.hidden = false;
+    }
+    
+    document.querySelectorAll('[data-consent-action]').forEach(button => {
+        button.addEventListener('click', () => {
+            const accept = button.dataset.consentAction === 'accept';
+            setConsent({ analytics: accept, marketing: accept });
+        });
+    });
+    
+    document.querySelectorAll('[data-consent-open]').forEach(button => {
+        button.addEventListener('click', openConsentPreferences);
+    });
+    
+    dialog?.addEventListener('close', () => {
+        if (dialog.returnValue !== 'save') return;
+        
+        const form = dialog.querySelector('form');
+        setConsent({
+            analytics: form.elements.analytics.checked,
+            marketing: form.elements.marketing.checked
+        });
+    });
+}
+
+function openConsentPreferences() {
+    const dialog = document.getElementById('consent-dialog');
+    if (!dialog) return;
+    
+    const form = dialog.querySelector('form');
+    form.elements.analytics.checked = hasConsent('analytics');
+    form.elements.marketing.checked = hasConsent('marketing');
+    
+    dialog.returnValue = '';
+    if (typeof dialog.showModal === 'function') {
+        dialog.showModal();
+    } else {
+        dialog.setAttribute('open', '');
+    }
+}
+
+function hideConsentBanner() {
+    const banner = document.getElementById('consent-banner');
+    if (banner) {
+        banner.hidden = true;
+    }
+}
+
+// ==========================================================================
+// Analytics
+// ==========================================================================
+
+const analyticsConfig = {
+    endpoint: '/api/events',
+    sessionKey: 'flowsync:session',
+    flushInterval: 5000,
+    maxBatchSize: 20,
+    scrollMarks: [25, 50, 75, 100],
+    sectionThreshold: 0.5
+};
+
+const analyticsState = {
+    queue: [],
+    sessionId: null,
+    flushTimer: null,
+    initialized: false,
+    enabled: true
+};
+
+// Events are dropped unless the visitor has consented to analytics
+function trackEvent(name, props = {}) {
+    if (!analyticsState.enabled || !hasConsent('analytics')) return;
+    
+    analyticsState.queue.push({
+        name,
+        ts: Date.now(),
+        path: window.location.pathname,
+        sessionId: getAnalyticsSessionId(),
+        props
+    });
+    
+    if (analyticsState.queue.length >= analyticsConfig.maxBatchSize) {
+        flushAnalytics();
+    }
+}
+
+function getAnalyticsSessionId() {
+    if (analyticsState.sessionId) return analyticsState.sessionId;
+    
+    try {
+        analyticsState.sessionId = sessionStorage.getItem(analyticsConfig.sessionKey);
+    } catch (error) {
+        // Storage can be unavailable (privacy mode); use a per-page id
+    }
+    
+    if (!analyticsState.sessionId) {
+        analyticsState.sessionId = window.crypto?.randomUUID?.() ||
+            `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        try {
+            sessionStorage.setItem(analyticsConfig.sessionKey, analyticsState.sessionId);
+        } catch (error) {
+            // Ignore: the id simply won't survive a reload
+        }
+    }
+    
+    return analyticsState.sessionId;
+}
+
+function flushAnalytics() {
+    const events = analyticsState.queue.splice(0, analyticsState.queue.length);
+    if (events.length === 0) return;
+    
+    const body = JSON.stringify({ events });
+    
+    // sendBeacon survives page unloads; fall back to a keepalive fetch when
+    // it is unavailable or the browser refuses to queue the payload
+    const queued = navigator.sendBeacon?.(analyticsConfig.endpoint, new Blob([body], { type: 'application/json' }));
+    if (!queued) {
+        fetch(analyticsConfig.endpoint, {
+            method: 'POST',
+            body,
+            keepalive: true,
+            headers: { 'Content-Type': 'application/json' }
+        }).catch(error => console.warn('Analytics batch failed:', error));
+    }
+}
+
+async function initializeAnalytics() {
+    // Respect the browser's Do Not Track setting
+    if (navigator.doNotTrack === '1') {
+        analyticsState.enabled = false;
+        analyticsState.queue = [];
+        return;
+    }
+    
+    if (!analyticsState.flushTimer) {
+        analyticsState.flushTimer = setInterval(flushAnalytics, analyticsConfig.flushInterval);
+    }
+    
+    // Listeners stay attached after a revocation; trackEvent checks consent,
+    // so granting again only needs the flush timer restarted
+    if (analyticsState.initialized) return;
+    analyticsState.initialized = true;
+    
+    trackEvent('page_view', {
+        title: document.title,
+        referrer: document.referrer || null,
+        viewportWidth: window.innerWidth
+    });
+    
+    trackExperimentExposures();
+    trackCtaClicks();
+    trackSectionVisibility();
+    trackScrollDepth();
+    
+    // Send whatever is pending when the page is hidden or unloaded
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            flushAnalytics();
+        }
+    });
+    window.addEventListener('pagehide', flushAnalytics);
+}
+
+// Called when analytics consent is withdrawn: pending events are discarded
+// and the session id is forgotten
+function stopAnalytics() {
+    clearInterval(analyticsState.flushTimer);
+    analyticsState.flushTimer = null;
+    analyticsState.queue = [];
+    analyticsState.sessionId = null;
+    
+    try {
+        sessionStorage.removeItem(analyticsConfig.sessionKey);
+    } catch (error) {
+        // Nothing stored
+    }
+}
+
+function trackExperimentExposures() {
+    // experiments.js is optional; pages without it simply have no exposures
+    if (typeof experimentsReady === 'undefined') return;
+    
+    experimentsReady.then(exposures => {
+        exposures.forEach(exposure => trackEvent('experiment_exposure', exposure));
+    });
+}
+
+function trackCtaClicks() {
+    // Delegated so dynamically rendered CTAs (pricing cards) are included
+    document.addEventListener('click', (e) => {
+        const target = e.target.closest('[data-track]');
+        if (!target) return;
+        
+        trackEvent('cta_click', {
+            label: target.dataset.track,
+            href: target.getAttribute('href')
+        });
+    });
+}
+
+function trackSectionVisibility() {
+    if (!('IntersectionObserver' in window)) return;
+    
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                trackEvent('section_view', { section: entry.target.id });
+                observer.unobserve(entry.target);
+            }
+        });
+    }, { threshold: analyticsConfig.sectionThreshold });
+    
+    document.querySelectorAll('main section[id]').forEach(section => observer.observe(section));
+}
+
+function trackScrollDepth() {
+    const remaining = analyticsConfig.scrollMarks.slice();
+    
+    const checkDepth = () => {
+        const scrollable = document.documentElement.scrollHeight;
+        const percent = ((window.scrollY + window.innerHeight) / scrollable) * 100;
+        
+        while (remaining.length > 0 && percent >= remaining[0]) {
+            trackEvent('scroll_depth', { percent: remaining.shift() });
+        }
+        
+        if (remaining.length === 0) {
+            window.removeEventListener('scroll', onScroll);
+        }
+    };
+    
+    const onScroll = throttle(checkDepth, 250);
+    window.addEventListener('scroll', onScroll, { passive: true });
+    checkDepth();
+}
+
+// ==========================================================================
+// Async Component Initialization
+// ==========================================================================
+
+function initializeAsyncComponents() {
+    // Each initializer runs once its category is granted, which may be
+    // immediately (stored consent) or after the visitor makes a choice
+    onConsent('analytics', initializeAnalytics);
+    onConsentRevoked('analytics', stopAnalytics);
+    
+    // Widgets cannot be unloaded, so revoking marketing consent takes
+    // effect on the next page load
+    onConsent('marketing', loadExternalWidgets);
+}
+
+async function loadExternalWidgets() {
+    // Example: Load external widgets or third-party scripts
+    // This could include chat widgets, social media embeds, etc.
+    return new Promise(resolve => {
+        setTimeout(() => {
+            console.log('External widgets loaded');
+            resolve();
+        }, 200);
+    });
+}
+
+// ==========================================================================
+// Utility Functions
+// ==========================================================================
+
+// Debounce function for performance optimization
+function debounce(func, wait, immediate) {
     let timeout;
     return function executedFunction(...args) {
         const later = () => {
@@ -341,6 +1841,10 @@ function throttle(func, limit) {
     };
 }
 
+function prefersReducedMotion() {
+    return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches || false;
+}
+
 // Check if element is in viewport
 function isElementInViewport(element) {
     const rect = element.getBoundingClientRect();
@@ -361,7 +1865,13 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         initializeNavigation,
         initializeSmoothScrolling,
+        openModal,
+        closeModal,
+        trapFocus,
         showNotification,
+        trackEvent,
+        onConsent,
+        hasConsent,
         debounce,
         throttle,
         isElementInViewport
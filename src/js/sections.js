@@ -0,0 +1,128 @@
+/**
+ * FlowSync Landing Page - Section Renderers
+ * Turns src/data/*.json into feature and pricing card markup.
+ * Shared by the browser (main.js) and the production build (prerendering).
+ *
+ * The data files hold ids, prices and links; the card text comes from the
+ * translation catalog under keys derived from those ids. Every text element
+ * keeps its data-i18n binding so a language switch translates it too.
+ */
+
+// ==========================================================================
+// Template Helpers
+// ==========================================================================
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// data-i18n binding plus escaped text for an element's content:
+// `<h3 ${bound(translate, 'nav.home')}</h3>` -> <h3 data-i18n="nav.home">Home</h3>
+function bound(translate, key) {
+    return `data-i18n="${escapeHtml(key)}">${escapeHtml(translate(key) || '')}`;
+}
+
+function formatPrice(amount, currency, locale) {
+    return new Intl.NumberFormat(locale || 'en-US', {
+        style: 'currency',
+        currency,
+        // Whole amounts drop the cents; others always show two digits ($15.20)
+        minimumFractionDigits: amount % 1 === 0 ? 0 : 2,
+        maximumFractionDigits: amount % 1 === 0 ? 0 : 2
+    }).format(amount);
+}
+
+// ==========================================================================
+// Feature Cards
+// ==========================================================================
+
+// Text: features.cards.<id>.title and .description
+function renderFeatureCard(feature, translate) {
+    const key = `features.cards.${feature.id}`;
+    return `
+        <article class="feature-card" id="feature-${escapeHtml(feature.id)}">
+            <span class="feature-card-icon" aria-hidden="true">${escapeHtml(feature.icon)}</span>
+            <h3 class="feature-card-title" ${bound(translate, `${key}.title`)}</h3>
+            <p class="feature-card-description" ${bound(translate, `${key}.description`)}</p>
+        </article>`;
+}
+
+function renderFeatureCards(data, translate) {
+    return data.features.map(feature => renderFeatureCard(feature, translate)).join('');
+}
+
+// ==========================================================================
+// Pricing Cards
+// ==========================================================================
+
+// Monthly-equivalent price when billed annually, rounded to cents
+function annualPrice(monthlyPrice, discount) {
+    return Math.round(monthlyPrice * (1 - (discount || 0)) * 100) / 100;
+}
+
+// Text: pricing.plans.<id>.name, .description, .unit, .cta, .priceLabel
+// (plans without a price) and .features.<feature id>
+function renderPricingCard(plan, pricing, translate) {
+    const id = escapeHtml(plan.id);
+    const key = `pricing.plans.${plan.id}`;
+    const classes = ['pricing-card'];
+    if (plan.popular) classes.push('pricing-card--popular');
+
+    // Plans without a price show their priceLabel, or "Contact us"
+    const labelKey = translate(`${key}.priceLabel`) === undefined ? 'pricing.contactUs' : `${key}.priceLabel`;
+    const price = plan.price === null || plan.price === undefined
+        ? `<span class="pricing-card-amount" ${bound(translate, labelKey)}</span>`
+        : `<span class="pricing-card-amount" data-currency="${escapeHtml(pricing.currency)}" data-price-monthly="${plan.price}" data-price-annual="${annualPrice(plan.price, pricing.annualDiscount)}">${escapeHtml(formatPrice(plan.price, pricing.currency))}</span>
+                <span class="pricing-card-unit" ${bound(translate, `${key}.unit`)}</span>
+                <span class="pricing-card-billing" hidden ${bound(translate, 'pricing.billedAnnually')}</span>`;
+
+    // "Most popular" plans get a badge that is announced with the card name
+    const badge = plan.popular
+        ? `\n            <p class="pricing-card-badge" id="plan-${id}-badge" ${bound(translate, 'pricing.popular')}</p>`
+        : '';
+
+    const features = plan.features
+        .map(feature => `<li class="pricing-card-feature" ${bound(translate, `${key}.features.${feature}`)}</li>`)
+        .join('');
+
+    return `
+        <article class="${classes.join(' ')}" data-plan="${id}" aria-labelledby="plan-${id}-title"${plan.popular ? ` aria-describedby="plan-${id}-badge"` : ''}>${badge}
+            <h3 class="pricing-card-title" id="plan-${id}-title" ${bound(translate, `${key}.name`)}</h3>
+            <p class="pricing-card-description" ${bound(translate, `${key}.description`)}</p>
+            <p class="pricing-card-price">
+                ${price}
+            </p>
+            <ul class="pricing-card-features" role="list" aria-labelledby="plan-${id}-title">${features}</ul>
+            <a href="${escapeHtml(plan.cta.href)}" class="btn ${plan.popular ? 'btn-primary' : 'btn-outline'} pricing-card-cta" data-plan="${id}" data-billing="monthly" data-track="pricing-${id}" ${bound(translate, `${key}.cta`)}</a>
+        </article>`;
+}
+
+function renderPricingCards(data, translate) {
+    return data.plans.map(plan => renderPricingCard(plan, data, translate)).join('');
+}
+
+// ==========================================================================
+// Section Registry
+// ==========================================================================
+
+// Maps data-render values in the HTML to their data file and renderer
+const sectionRenderers = {
+    features: { source: '/data/features.json', render: renderFeatureCards },
+    pricing: { source: '/data/pricing.json', render: renderPricingCards }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeHtml,
+        formatPrice,
+        annualPrice,
+        renderFeatureCards,
+        renderPricingCards,
+        sectionRenderers
+    };
+}